@@ -8,12 +8,14 @@ var fs = require("fs");
 var path = require("path");
 var ds = require("./node-datastore");
 var fsds = require("./node-datastore-fs");
-var baseDir = path.join(os.tmpDir(), "node-datastore");
+var baseDir = path.join(os.tmpdir(), "node-datastore");
 var devices = (function () {
   var result = [];
 
   for (var i = 0; i < NUMBER_OF_DEVICES; i++) {
-    result.push(new fsds.FileSystemDevice(path.join(baseDir, "device" + i)));
+    result.push(new fsds.FileSystemDevice(path.join(baseDir, "device" + i), {
+      id: "device" + i
+    }));
   }
 
   return result;
@@ -22,6 +24,8 @@ var sync = TEST_FILES.length;
 
 var index = new fsds.FileSystemIndex(baseDir);
 var dataStore = new ds.DataStore(index, devices, {
+  maxConcurrentSaves: 4,
+  maxDeviceWrites: 2,
   errorHandler: function (err, id, namespace, type) {
     console.log(err);
   }
@@ -31,12 +35,16 @@ var start = Date.now();
 
 TEST_FILES.forEach(function (testFile) {
   var fullPath = path.join(".", "asset", testFile);
-  var readStream = fs.createReadStream(fullPath);
   var stats = fs.statSync(fullPath);
 
-  dataStore.save(readStream, null, {
+  // Files are opened once the save starts.
+  dataStore.save(function () {
+    return fs.createReadStream(fullPath);
+  }, null, {
     size: stats.size,
     name: testFile
+  }, {
+    size: stats.size
   }, function (err, item) {
     sync -= 1;
     console.log({
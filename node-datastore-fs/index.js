@@ -1,4 +1,5 @@
 module.exports = {
   FileSystemDevice: require("./lib/FileSystemDevice"),
-  FileSystemIndex: require("./lib/FileSystemIndex")
+  FileSystemIndex: require("./lib/FileSystemIndex"),
+  FileSystemJournal: require("./lib/FileSystemJournal")
 };
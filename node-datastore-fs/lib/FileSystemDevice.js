@@ -2,12 +2,20 @@
  *
  * @param {String} baseDir Base directory to read and write the items to. Cannot
  *    be null or empty.
+ * @param {Object} [options] Device options. Can be null.
+ * @param {String} [options.id] Device unique id. Devices sharing the same data
+ *    store must have different ids in order to track the item status per
+ *    device. Default is <code>FileSystemDevice</code>.
+ * @param {Function} [options.supports] Function to determine whether an item
+ *    is supported by this device. It takes the item as parameter and returns
+ *    a boolean. ItemFilter can be used to build it. By default all items are
+ *    supported.
  * @constructor
  * @augments Device
  */
-module.exports = function FileSystemDevice (baseDir) {
+module.exports = function FileSystemDevice (baseDir, options) {
 
-  /** Device unique id.
+  /** Default device id.
    * @constant
    * @private
    * @fieldOf FileSystemDevice#
@@ -21,6 +29,27 @@ module.exports = function FileSystemDevice (baseDir) {
    */
   var Device = require("../../node-datastore/lib/Device");
 
+  /** Utility to support promises.
+   * @type {Object}
+   * @private
+   * @fieldOf FileSystemDevice#
+   */
+  var Promises = require("../../node-datastore/lib/Promises");
+
+  /** Utility to work with byte ranges.
+   * @type {Object}
+   * @private
+   * @fieldOf FileSystemDevice#
+   */
+  var ByteRange = require("../../node-datastore/lib/ByteRange");
+
+  /** Utility to work with item ids.
+   * @type {Object}
+   * @private
+   * @fieldOf FileSystemDevice#
+   */
+  var ItemId = require("../../node-datastore/lib/ItemId");
+
   /** Util to extend objects.
    * @type Function
    * @private
@@ -49,23 +78,172 @@ module.exports = function FileSystemDevice (baseDir) {
    */
   var mkdirp = require('mkdirp');
 
+  /** Number of directory levels used to spread items in the file system.
+   * @constant
+   * @private
+   * @fieldOf FileSystemDevice#
+   */
+  var TREE_DEPTH = 3;
+
+  /** Resolves the full path to the item with the specified id. Items are
+   * spread by the digest in the id, since all ids of the same hash algorithm
+   * share the same prefix. It doesn't check whether the item exists or not.
+   * @param {String} id Id of the item to resolve. Cannot be null or empty.
+   * @return {String} Returns the item full path. Never returns null or empty.
+   * @private
+   * @methodOf FileSystemDevice#
+   */
+  var resolvePath = function (id) {
+    var key = ItemId.parse(id).digest || id;
+    var root = key.substr(0, 2);
+    var first = key.substr(2, 4);
+    var second = key.substr(4, 6);
+
+    return path.join(baseDir, root, first, second, id);
+  };
+
   /** Builds the full path to the specified item.
    * @param {DataStoreItem} item Item to build full path. Cannot be null.
    * @return {String} Returns the item full path. Never returns null or empty.
    */
   var buildFullPath = function (item) {
-    var root = item.getId().substr(0, 2);
-    var first = item.getId().substr(2, 4);
-    var second = item.getId().substr(4, 6);
-    var dir = path.join(baseDir, root, first, second);
+    var fullPath = resolvePath(item.getId());
+    var dir = path.dirname(fullPath);
 
     if (!fs.existsSync(dir)) {
       mkdirp.sync(dir);
     }
-    return path.join(dir, item.getId());
+    return fullPath;
+  };
+
+  /** Walks the items tree and collects the files stored at the items level.
+   * Files in any other level don't belong to this device.
+   *
+   * @param {String} dir Directory to walk. Cannot be null or empty.
+   * @param {Number} depth Depth of the directory in the items tree. Cannot be
+   *    null.
+   * @param {Function} callback Callback that receives the files. It takes an
+   *    error and the list of files as parameters. Each file has the full
+   *    <code>path</code> and the <code>size</code> in bytes. Cannot be null.
+   * @private
+   * @methodOf FileSystemDevice#
+   */
+  var walkTree = function (dir, depth, callback) {
+    fs.readdir(dir, function (err, entries) {
+      var files = [];
+      var pending;
+      var failed = false;
+
+      if (err) {
+        callback(err.code === "ENOENT" ? null : err, files);
+        return;
+      }
+      pending = entries.length;
+
+      if (pending === 0) {
+        callback(null, files);
+        return;
+      }
+
+      entries.forEach(function (entry) {
+        var fullPath = path.join(dir, entry);
+        var done = function (err, entryFiles) {
+          if (failed) {
+            return;
+          }
+          if (err) {
+            failed = true;
+            callback(err);
+            return;
+          }
+          files = files.concat(entryFiles);
+          pending -= 1;
+
+          if (pending === 0) {
+            callback(null, files);
+          }
+        };
+
+        fs.stat(fullPath, function (err, stats) {
+          if (err) {
+            done(err);
+          } else if (stats.isDirectory() && depth < TREE_DEPTH) {
+            walkTree(fullPath, depth + 1, done);
+          } else if (stats.isFile() && depth === TREE_DEPTH) {
+            done(null, [{
+              path: fullPath,
+              size: stats.size
+            }]);
+          } else {
+            done(null, []);
+          }
+        });
+      });
+    });
+  };
+
+  /** Collects the files of all items stored in this device. Files that are
+   * not placed where the item is expected are skipped.
+   *
+   * @param {Function} callback Callback that receives the files. It takes an
+   *    error and the list of files as parameters. Each file has the full
+   *    <code>path</code> and the <code>size</code> in bytes. Cannot be null.
+   * @private
+   * @methodOf FileSystemDevice#
+   */
+  var listFiles = function (callback) {
+    walkTree(baseDir, 0, function (err, files) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      callback(null, files.filter(function (file) {
+        return resolvePath(path.basename(file.path)) === file.path;
+      }));
+    });
+  };
+
+  /** Reads the free space of the file system the specified directory belongs
+   * to. If the directory doesn't exist yet, the closest existing parent is
+   * used instead.
+   *
+   * @param {String} dir Directory to check. Cannot be null or empty.
+   * @param {Function} callback Callback that receives the free space. It
+   *    takes an error and the number of bytes available as parameters, or
+   *    null if the Node version cannot read file system statistics. Cannot
+   *    be null.
+   * @private
+   * @methodOf FileSystemDevice#
+   */
+  var freeSpace = function (dir, callback) {
+    if (typeof fs.statfs !== "function") {
+      callback(null, null);
+      return;
+    }
+    fs.statfs(dir, function (err, stats) {
+      if (err && err.code === "ENOENT" && path.dirname(dir) !== dir) {
+        freeSpace(path.dirname(dir), callback);
+      } else if (err) {
+        callback(err);
+      } else {
+        callback(null, stats.bavail * stats.bsize);
+      }
+    });
   };
 
-  return extend(new Device(DEVICE_ID), {
+  return Promises.device(extend(new Device((options && options.id) ||
+      DEVICE_ID), {
+
+    /** Indicates whether this device supports the specified item or not.
+     * Unsupported items are never sent to this device.
+     *
+     * @param {DataStoreItem} item Item to check. Cannot be null.
+     * @return {Boolean} Returns true if the item is supported, false
+     *    otherwise.
+     */
+    supports: function (item) {
+      return !(options && options.supports) || options.supports(item);
+    },
 
     /** Sends the item to this device. It updates the item to reflect the
      * status on this device.
@@ -76,47 +254,198 @@ module.exports = function FileSystemDevice (baseDir) {
     put: function (item, callback) {
       var fullPath = buildFullPath(item);
       var writeStream = fs.createWriteStream(fullPath);
+      var readStream = item.stream();
+      var failed = false;
       var errorCallback = function (err) {
-        item.status(this, 500, err);
-        callback(err, item);
+        if (!failed) {
+          failed = true;
+          item.status(this, 500, err.message);
+          callback(err, item);
+        }
       }.bind(this);
 
-      item.stream().on("error", errorCallback);
+      readStream.on("error", function (err) {
+        // Closes the file, the incomplete content is not removed.
+        readStream.unpipe(writeStream);
+        writeStream.end();
+        errorCallback(err);
+      });
       writeStream.on("error", errorCallback);
       writeStream.on("close", function () {
-        item.status(this, 200);
-        callback(null, item);
+        if (!failed) {
+          item.status(this, 200);
+          callback(null, item);
+        }
       }.bind(this));
 
-      item.stream().pipe(writeStream);
+      readStream.pipe(writeStream);
+    },
+
+    /** Moves a provisional item previously sent with <code>put()</code> to the
+     * final item. It updates the final item to reflect the status on this
+     * device.
+     *
+     * @param {DataStoreItem} provisionalItem Item sent to this device. Cannot
+     *    be null.
+     * @param {DataStoreItem} item Final item. Cannot be null.
+     * @param {Function} callback Callback invoked when the operation has
+     *    finished. It takes an error and the final item as parameters. Cannot
+     *    be null.
+     */
+    commit: function (provisionalItem, item, callback) {
+      fs.rename(buildFullPath(provisionalItem), buildFullPath(item),
+        function (err) {
+          if (err) {
+            item.status(this, 500, err.message);
+            callback(err, item);
+          } else {
+            item.status(this, 200);
+            callback(null, item);
+          }
+        }.bind(this));
     },
 
     /** Opens a connection to the specified item and notifies when connection
      * is ready.
      * @param {DataStoreItem} item Item to open. Cannot be null.
+     * @param {Object} [options] Read options. Can be null.
+     * @param {Object} [options.range] Byte range to read. Can be null.
      * @param {Function} callback Function invoked to notify when the connection
      *    is opened. It takes an error and the item as parameters. Cannot be
      *    null.
      */
-    get: function (item, callback) {
+    get: function (item, options, callback) {
       var fullPath = buildFullPath(item);
+      var getCallback = callback;
+      var range = options && options.range;
 
-      if (fs.existsSync(fullPath)) {
+      if (typeof options === "function") {
+        getCallback = options;
+        range = null;
+      }
+      if (!fs.existsSync(fullPath)) {
+        getCallback(new Error("Item not found: " + item.id), null);
+        return;
+      }
+      if (!range) {
         item.stream = function () {
           return fs.createReadStream(fullPath);
         };
-        callback(null, item);
-      } else {
-        callback(new Error("Item not found: " + item.id), null);
+        getCallback(null, item);
+        return;
       }
+      fs.stat(fullPath, function (err, stats) {
+        var bounds = !err && ByteRange.resolve(range, stats.size);
+
+        if (err) {
+          getCallback(err, null);
+        } else if (!bounds) {
+          getCallback(new Error("Range not satisfiable for item " +
+            item.getId() + "."), null);
+        } else {
+          item.range = bounds;
+          item.stream = function () {
+            return fs.createReadStream(fullPath, {
+              start: bounds.start,
+              end: bounds.end
+            });
+          };
+          getCallback(null, item);
+        }
+      });
+    },
+
+    /** Physically removes the item from this device. It updates the item to
+     * reflect the status on this device. Removing an item that doesn't exist
+     * in the device is not considered an error.
+     *
+     * @param {DataStoreItem} item Item to remove. Cannot be null.
+     * @param {Function} callback Callback invoked when the operation has
+     *    finished. It takes an error and the item as parameters. Cannot be
+     *    null.
+     */
+    delete: function (item, callback) {
+      var fullPath = buildFullPath(item);
+
+      fs.unlink(fullPath, function (err) {
+        if (err && err.code !== "ENOENT") {
+          item.status(this, 500, err.message);
+          callback(err, item);
+        } else {
+          item.status(this, 410);
+          callback(null, item);
+        }
+      }.bind(this));
+    },
+
+    /** Lists the ids of all items physically stored in this device.
+     *
+     * @param {Function} callback Callback that receives the item ids. It takes
+     *    an error and the list of ids as parameters. Cannot be null.
+     */
+    list: function (callback) {
+      listFiles(function (err, files) {
+        if (err) {
+          callback(err);
+          return;
+        }
+        callback(null, files.map(function (file) {
+          return path.basename(file.path);
+        }));
+      });
+    },
+
+    /** Reports the storage used by this device. The capacity is the size of
+     * the items plus the free space in the file system, so it's shared with
+     * anything else written to the same file system.
+     *
+     * @param {Function} callback Callback that receives the statistics. It
+     *    takes an error and the statistics as parameters. Statistics have the
+     *    total <code>capacity</code> in bytes, the <code>used</code> bytes,
+     *    the <code>free</code> bytes and the number of <code>items</code>
+     *    stored in the device. Cannot be null.
+     */
+    stat: function (callback) {
+      listFiles(function (err, files) {
+        var used;
+
+        if (err) {
+          callback(err);
+          return;
+        }
+        used = files.reduce(function (total, file) {
+          return total + file.size;
+        }, 0);
+
+        freeSpace(baseDir, function (err, free) {
+          if (err) {
+            callback(err);
+            return;
+          }
+          callback(null, {
+            capacity: free === null ? null : used + free,
+            used: used,
+            free: free,
+            items: files.length
+          });
+        });
+      });
     },
 
     /** Determines whether this device is available or not.
      * @param {Function} callback Callback invoked to notify whether the device
-     *    is available or not. It takes a boolean parameter. Cannot be null.
+     *    is available or not. It takes an error and a boolean as parameters.
+     *    Cannot be null.
      */
     ping: function (callback) {
-      callback(true);
+      callback(null, true);
+    },
+
+    /** Indicates whether this device stores content in the local machine.
+     * @return {Boolean} Always returns true.
+     */
+    isLocal: function () {
+      return true;
     },
 
     /** Indicates whether the specified item exists in the device or not. This
@@ -124,11 +453,14 @@ module.exports = function FileSystemDevice (baseDir) {
      *
      * @param {DataStoreItem} item Item to validate. Cannot be null.
      * @param {Function} callback Callback to notify whether the item exists or
-     *    not. It receives a boolean as parameter. Cannot be null.
+     *    not. It takes an error and a boolean as parameters. Cannot be null.
      */
     exists: function (item, callback) {
       var fullPath = buildFullPath(item);
-      fs.exists(fullPath, callback);
+
+      fs.access(fullPath, function (err) {
+        callback(null, !err);
+      });
     },
 
     /** Translates an item to a valid local path in the file system.
@@ -140,5 +472,5 @@ module.exports = function FileSystemDevice (baseDir) {
     getFile: function (item) {
       return buildFullPath(item);
     }
-  });
+  }));
 };
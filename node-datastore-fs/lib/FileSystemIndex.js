@@ -30,6 +30,13 @@ module.exports = function FileSystemIndex (baseDir) {
    */
   var DataStoreItem = require("../../node-datastore/lib/DataStoreItem");
 
+  /** Utility to support promises.
+   * @type {Object}
+   * @private
+   * @fieldOf FileSystemIndex#
+   */
+  var Promises = require("../../node-datastore/lib/Promises");
+
   /** Node file system API.
    * @type {Object}
    * @private
@@ -89,7 +96,7 @@ module.exports = function FileSystemIndex (baseDir) {
     fs.writeFile(indexFile, JSON.stringify(index), callback);
   };
 
-  return extend(new Index(), {
+  return Promises.index(extend(new Index(), {
 
     /** Retrieves a single item from the index.
      *
@@ -102,34 +109,237 @@ module.exports = function FileSystemIndex (baseDir) {
 
       if (index.hasOwnProperty(id)) {
         item = index[id];
-        callback(null, new DataStoreItem(item.id, item.metadata, item.status));
+        callback(null, new DataStoreItem(item.id, item.metadata, item.status,
+          item));
       } else {
         callback(new Error("Item " + id + " not found in the index."));
       }
     },
 
+    /** Retrieves all items from the index, including deleted items.
+     *
+     * @param {Function} callback Callback that receives the items. It takes an
+     *    error and the list of items as parameters. Cannot be null.
+     */
+    list: function (callback) {
+      var items = Object.keys(index).map(function (id) {
+        var item = index[id];
+        return new DataStoreItem(item.id, item.metadata, item.status, item);
+      });
+      callback(null, items);
+    },
+
     /** Creates a new item and saves it to the index.
      *
      * @param {String} id Unique id for the item. Cannot be null or empty.
      * @param {Object} metadata Item metadata, it's used to initialize the new
-     *    item. Metadata cannot be modified once item is created. Can be null.
+     *    item. It's the first metadata version. Can be null.
+     * @param {Object} [attributes] Additional item information. Can be null.
+     * @param {String} [attributes.hash] Content hash, if it's not the hash in
+     *    the item id. Namespaces saved under a parent item have the parent
+     *    hash in the id.
+     * @param {Number} [attributes.size] Content size in bytes.
+     * @param {String} [attributes.manifest] Hash of the chunk manifest, if
+     *    the content is stored in chunks.
      * @param {Function} callback Callback that receives the new item. It
      *    takes an error and the item as parameters. Cannot be null.
      */
-    createItem: function (id, metadata, callback) {
+    createItem: function (id, metadata, attributes, callback) {
+      var createCallback = callback;
       var item = {
         id: id,
         metadata: metadata,
-        status: {}
+        status: {},
+        version: 1,
+        history: []
       };
+
+      if (typeof attributes === "function") {
+        createCallback = attributes;
+      } else if (attributes) {
+        if (attributes.hash) {
+          item.hash = attributes.hash;
+        }
+        if (typeof attributes.size === "number") {
+          item.size = attributes.size;
+        }
+        if (attributes.manifest) {
+          item.manifest = attributes.manifest;
+        }
+      }
       index[id] = item;
 
       // TODO (seykron): performance sucks, let's change it to something clever.
       saveIndex(function (err) {
-        callback(err, new DataStoreItem(id, metadata, item.status));
+        createCallback(err, new DataStoreItem(id, metadata, item.status,
+          item));
+      });
+    },
+
+    /** Updates the metadata of an existing item and creates a new metadata
+     * version. The patch is merged into the current metadata, and attributes
+     * set to null in the patch are removed. Each change is kept in the item
+     * history with the new version number and a timestamp.
+     *
+     * @param {String} id Id of the item to update. Cannot be null or empty.
+     * @param {Object} patch Metadata attributes to change. Cannot be null.
+     * @param {Object} [options] Update options. Can be null.
+     * @param {Number} [options.version] Version the patch is based on. If it's
+     *    set and the item has a different version, the update is rejected.
+     * @param {Number} [options.timestamp] Time of the change, in milliseconds.
+     *    It's used to replicate changes. Default is the current time.
+     * @param {Function} callback Callback that receives the updated item. It
+     *    takes an error and the item as parameters. Cannot be null.
+     */
+    updateMetadata: function (id, patch, options, callback) {
+      var updateOptions = options || {};
+      var updateCallback = callback;
+      var item;
+      var version;
+      var metadata;
+
+      if (typeof options === "function") {
+        updateOptions = {};
+        updateCallback = options;
+      }
+      if (!index.hasOwnProperty(id)) {
+        updateCallback(new Error("Item " + id + " not found in the index."));
+        return;
+      }
+      item = index[id];
+      version = item.version || 1;
+
+      if (updateOptions.version !== undefined &&
+          updateOptions.version !== version) {
+        updateCallback(new Error("Item " + id + " was modified: expected " +
+          "version " + updateOptions.version + " but found " + version + "."));
+        return;
+      }
+
+      // Items already retrieved keep the previous metadata.
+      metadata = extend({}, item.metadata, patch);
+
+      Object.keys(patch).forEach(function (key) {
+        if (patch[key] === null) {
+          delete metadata[key];
+        }
+      });
+
+      item.metadata = metadata;
+      item.version = version + 1;
+      item.history = (item.history || []).concat({
+        version: item.version,
+        timestamp: updateOptions.timestamp || Date.now(),
+        patch: patch
+      });
+
+      saveIndex(function (err) {
+        updateCallback(err, new DataStoreItem(id, metadata, item.status,
+          item));
+      });
+    },
+
+    /** Adds a reference to an existing item.
+     * @param {String} id Id of the item to reference. Cannot be null or empty.
+     * @param {String} ref Reference to add. Cannot be null or empty.
+     * @param {Function} callback Callback that receives the updated item. It
+     *    takes an error and the item as parameters. Cannot be null.
+     */
+    addRef: function (id, ref, callback) {
+      var item;
+
+      if (!index.hasOwnProperty(id)) {
+        callback(new Error("Item " + id + " not found in the index."));
+        return;
+      }
+      item = index[id];
+
+      if ((item.refs || []).indexOf(ref) === -1) {
+        item.refs = (item.refs || []).concat(ref);
+      }
+      saveIndex(function (err) {
+        callback(err, new DataStoreItem(id, item.metadata, item.status, item));
+      });
+    },
+
+    /** Removes a reference from an existing item.
+     * @param {String} id Id of the referenced item. Cannot be null or empty.
+     * @param {String} ref Reference to remove. Cannot be null or empty.
+     * @param {Function} callback Callback that receives the updated item. It
+     *    takes an error and the item as parameters. Cannot be null.
+     */
+    removeRef: function (id, ref, callback) {
+      var item;
+
+      if (!index.hasOwnProperty(id)) {
+        callback(new Error("Item " + id + " not found in the index."));
+        return;
+      }
+      item = index[id];
+      item.refs = (item.refs || []).filter(function (itemRef) {
+        return itemRef !== ref;
+      });
+
+      saveIndex(function (err) {
+        callback(err, new DataStoreItem(id, item.metadata, item.status, item));
+      });
+    },
+
+    /** Sets the time an existing item expires.
+     * @param {String} id Id of the item to update. Cannot be null or empty.
+     * @param {Number} expiresAt Expiration time, in milliseconds since the
+     *    epoch. If it's null, the item never expires.
+     * @param {Function} callback Callback that receives the updated item. It
+     *    takes an error and the item as parameters. Cannot be null.
+     */
+    setExpiration: function (id, expiresAt, callback) {
+      var item;
+
+      if (!index.hasOwnProperty(id)) {
+        callback(new Error("Item " + id + " not found in the index."));
+        return;
+      }
+      item = index[id];
+
+      if (typeof expiresAt === "number") {
+        item.expiresAt = expiresAt;
+      } else {
+        delete item.expiresAt;
+      }
+      saveIndex(function (err) {
+        callback(err, new DataStoreItem(id, item.metadata, item.status, item));
       });
     },
 
+    /** Flags an existing item as deleted. The item remains in the index until
+     * it's purged.
+     *
+     * @param {String} id Id of the item to flag. Cannot be null or empty.
+     * @param {Function} callback Callback invoked when the item is flagged. It
+     *    takes an error as parameter. Cannot be null.
+     */
+    deleteItem: function (id, callback) {
+      if (!index.hasOwnProperty(id)) {
+        callback(new Error("Item " + id + " not found in the index."));
+        return;
+      }
+      index[id].deleted = true;
+
+      saveIndex(callback);
+    },
+
+    /** Removes an item from the index for good.
+     *
+     * @param {String} id Id of the item to remove. Cannot be null or empty.
+     * @param {Function} callback Callback invoked when the item is removed. It
+     *    takes an error as parameter. Cannot be null.
+     */
+    removeItem: function (id, callback) {
+      delete index[id];
+
+      saveIndex(callback);
+    },
+
     /** Flushes the index in order to save all changes still in memory.
      * @param {Function} [callback] Callback invoked when flush operation
      *    finished. It takes an error as parameter. Can be null.
@@ -141,5 +351,5 @@ module.exports = function FileSystemIndex (baseDir) {
         }
       });
     }
-  });
+  }));
 };
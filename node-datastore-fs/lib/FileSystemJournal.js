@@ -0,0 +1,311 @@
+/** Journal to record data store operations in the file system. Records are
+ * appended to the journal file as JSON lines and synchronized to disk before
+ * the operation goes on. Pending operations are loaded into memory when this
+ * class is instantiated, and the file is truncated once there're no pending
+ * operations, so it doesn't grow forever.
+ *
+ * @param {String} baseDir Base directory to the journal file. Cannot be null
+ *    or empty.
+ * @constructor
+ * @augments Journal
+ */
+module.exports = function FileSystemJournal (baseDir) {
+
+  /** Name of the journal file.
+   * @constant
+   * @private
+   * @fieldOf FileSystemJournal#
+   */
+  var JOURNAL_FILE = "journal.log";
+
+  /** Journal base constructor.
+   * @type Function
+   * @private
+   * @fieldOf FileSystemJournal#
+   */
+  var Journal = require("../../node-datastore/lib/Journal");
+
+  /** Utility to support promises.
+   * @type {Object}
+   * @private
+   * @fieldOf FileSystemJournal#
+   */
+  var Promises = require("../../node-datastore/lib/Promises");
+
+  /** Node file system API.
+   * @type {Object}
+   * @private
+   * @fieldOf FileSystemJournal#
+   */
+  var fs = require("fs");
+
+  /** Node path API.
+   * @type {Object}
+   * @private
+   * @fieldOf FileSystemJournal#
+   */
+  var path = require("path");
+
+  /** Node crypto API.
+   * @type {Object}
+   * @private
+   * @fieldOf FileSystemJournal#
+   */
+  var crypto = require("crypto");
+
+  /** Util to extend objects.
+   * @type Function
+   * @private
+   * @fieldOf FileSystemJournal#
+   */
+  var extend = require("extend");
+
+  /** mkdirp utility.
+   * @type {Function}
+   * @private
+   * @fieldOf FileSystemJournal#
+   */
+  var mkdirp = require('mkdirp');
+
+  /** Full path to the journal file.
+   * @type {String}
+   * @private
+   * @fieldOf FileSystemJournal#
+   */
+  var journalFile = path.join(baseDir, JOURNAL_FILE);
+
+  /** Operations that were not finished, indexed by entry id. Entries are
+   * loaded from the journal file. The last record may be incomplete if the
+   * process died while it was written, so records that cannot be parsed are
+   * ignored.
+   * @type Object
+   * @private
+   * @fieldOf FileSystemJournal#
+   */
+  var entries = (function () {
+    var result = {};
+
+    if (!fs.existsSync(baseDir)) {
+      mkdirp.sync(baseDir);
+    }
+    if (!fs.existsSync(journalFile)) {
+      return result;
+    }
+    fs.readFileSync(journalFile).toString().split("\n").forEach(
+      function (line) {
+        var record;
+
+        try {
+          record = JSON.parse(line);
+        } catch (err) {
+          return;
+        }
+        if (record.type === "begin") {
+          result[record.id] = extend({}, record.operation, {
+            id: record.id
+          });
+        } else if (record.type === "update" &&
+            result.hasOwnProperty(record.id)) {
+          extend(result[record.id], record.data);
+        } else if (record.type === "end") {
+          delete result[record.id];
+        }
+      });
+
+    return result;
+  }());
+
+  /** Descriptor of the journal file, opened to append records.
+   * @type Number
+   * @private
+   * @fieldOf FileSystemJournal#
+   */
+  var fd = fs.openSync(journalFile, "a");
+
+  /** Records waiting to be written. They're written one at a time, so the
+   * file is never truncated while a record is written.
+   * @type Object[]
+   * @private
+   * @fieldOf FileSystemJournal#
+   */
+  var queue = [];
+
+  /** Indicates whether a record is being written.
+   * @type Boolean
+   * @private
+   * @fieldOf FileSystemJournal#
+   */
+  var writing = false;
+
+  /** Indicates whether the journal is closed, or it's being closed.
+   * @type Boolean
+   * @private
+   * @fieldOf FileSystemJournal#
+   */
+  var closed = false;
+
+  /** Callback waiting for the records in the queue to be written before the
+   * journal file is closed, or null if the file is not being closed.
+   * @type Function
+   * @private
+   * @fieldOf FileSystemJournal#
+   */
+  var closeCallback = null;
+
+  /** Writes the next record in the queue and synchronizes the file to disk.
+   * @private
+   * @methodOf FileSystemJournal#
+   */
+  var writeNext = function () {
+    var next = queue.shift();
+    var line;
+    var done = function (err) {
+      next.callback(err || null);
+      writeNext();
+    };
+
+    if (!next) {
+      writing = false;
+
+      if (closeCallback) {
+        fs.close(fd, closeCallback);
+        closeCallback = null;
+      }
+      return;
+    }
+    writing = true;
+
+    if (next.record.type === "end" && queue.length === 0 &&
+        Object.keys(entries).length === 0) {
+      fs.ftruncate(fd, 0, function (err) {
+        if (err) {
+          done(err);
+        } else {
+          fs.fsync(fd, done);
+        }
+      });
+      return;
+    }
+    line = Buffer.from(JSON.stringify(next.record) + "\n");
+
+    fs.write(fd, line, 0, line.length, null, function (err) {
+      if (err) {
+        done(err);
+      } else {
+        fs.fdatasync(fd, done);
+      }
+    });
+  };
+
+  /** Adds a record to the journal file.
+   * @param {Object} record Record to write. Cannot be null.
+   * @param {Function} callback Callback invoked when the record is written.
+   *    It takes an error as parameter. Cannot be null.
+   * @private
+   * @methodOf FileSystemJournal#
+   */
+  var write = function (record, callback) {
+    if (closed) {
+      callback(new Error("Journal is closed."));
+      return;
+    }
+    queue.push({
+      record: record,
+      callback: callback
+    });
+    if (!writing) {
+      writeNext();
+    }
+  };
+
+  return Promises.journal(extend(new Journal(), {
+
+    /** Records the intent of an operation.
+     *
+     * @param {Object} operation Operation to record. Cannot be null.
+     * @param {Function} callback Callback that receives the id of the journal
+     *    entry. It takes an error and the entry id as parameters. Cannot be
+     *    null.
+     */
+    begin: function (operation, callback) {
+      var id = Date.now().toString(36) + "-" +
+        crypto.randomBytes(6).toString("hex");
+
+      entries[id] = extend({}, operation, {
+        id: id
+      });
+      write({
+        type: "begin",
+        id: id,
+        operation: operation
+      }, function (err) {
+        callback(err, err ? null : id);
+      });
+    },
+
+    /** Records the progress of a pending operation.
+     *
+     * @param {String} id Id of the journal entry. Cannot be null or empty.
+     * @param {Object} data Data to add to the operation. Cannot be null.
+     * @param {Function} callback Callback invoked when the data is recorded.
+     *    It takes an error as parameter. Cannot be null.
+     */
+    update: function (id, data, callback) {
+      if (!entries.hasOwnProperty(id)) {
+        callback(new Error("Journal entry " + id + " not found."));
+        return;
+      }
+      extend(entries[id], data);
+      write({
+        type: "update",
+        id: id,
+        data: data
+      }, callback);
+    },
+
+    /** Flags an operation as finished.
+     *
+     * @param {String} id Id of the journal entry. Cannot be null or empty.
+     * @param {Function} callback Callback invoked when the operation is
+     *    flagged. It takes an error as parameter. Cannot be null.
+     */
+    end: function (id, callback) {
+      delete entries[id];
+      write({
+        type: "end",
+        id: id
+      }, callback);
+    },
+
+    /** Retrieves the operations that were not finished.
+     *
+     * @param {Function} callback Callback that receives the operations. It
+     *    takes an error and the list of operations as parameters. Cannot be
+     *    null.
+     */
+    pending: function (callback) {
+      callback(null, Object.keys(entries).map(function (id) {
+        return extend({}, entries[id]);
+      }));
+    },
+
+    /** Closes the journal file once the records in the queue are written.
+     *
+     * @param {Function} callback Callback invoked when the journal is
+     *    closed. It takes an error as parameter. Cannot be null.
+     */
+    close: function (callback) {
+      if (closed) {
+        callback(null);
+        return;
+      }
+      closed = true;
+
+      if (writing) {
+        closeCallback = callback;
+      } else {
+        fs.close(fd, callback);
+      }
+    }
+  }));
+};
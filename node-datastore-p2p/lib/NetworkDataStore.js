@@ -51,6 +51,20 @@ module.exports = function NetworkDataStore(baseDir) {
    */
   var extend = require("extend");
 
+  /** Node events API.
+   * @type {Object}
+   * @private
+   * @fieldOf NetworkDataStore#
+   */
+  var events = require("events");
+
+  /** Utility to support promises.
+   * @type {Object}
+   * @private
+   * @fieldOf NetworkDataStore#
+   */
+  var Promises = require("../../node-datastore/lib/Promises");
+
   /** Manages peers in the current network.
    *
    * @type Object
@@ -59,11 +73,12 @@ module.exports = function NetworkDataStore(baseDir) {
    */
   var swarm = new Swarm(baseDir);
 
-  /** Network data store instance.
+  /** Network data store instance. Events emitted by the underlying data store
+   * are forwarded to this instance.
    * @private
    * @fieldOf NetworkDataStore#
    */
-  var dataStore = {};
+  var dataStore = new events.EventEmitter();
 
   /** Distributed index used by this data store, it's never null after
    * initialize().
@@ -81,7 +96,7 @@ module.exports = function NetworkDataStore(baseDir) {
    */
   var networkManager = new NetworkManager(swarm);
 
-  return extend(dataStore, {
+  return Promises.api(extend(dataStore, {
 
     /** Initializes this data store. It creates the network manager, index and
      * device required to work over the network.
@@ -99,10 +114,18 @@ module.exports = function NetworkDataStore(baseDir) {
         } else {
           index = new NetworkIndex(baseDir, networkManager);
           device = new NetworkDevice(baseDir, networkManager, index);
-          device.initialize(function (err) {{
-            extend(dataStore, new DataStore(index, [device]));
+          device.initialize(function (err) {
+            var store = new DataStore(index, [device]);
+
+            Object.keys(store).forEach(function (name) {
+              if (typeof store[name] === "function") {
+                dataStore[name] = store[name];
+              }
+            });
+            store.emit = dataStore.emit.bind(dataStore);
+
             callback(err);
-          }});
+          });
         }
       });
     },
@@ -138,5 +161,5 @@ module.exports = function NetworkDataStore(baseDir) {
     getLocalNode: function () {
       return swarm.getLocalNode();
     }
-  });
+  }), ["initialize"]);
 };
@@ -44,6 +44,20 @@ module.exports = function NetworkDevice (baseDir, networkManager, index) {
    */
   var DataStoreItem = require("../../node-datastore/lib/DataStoreItem");
 
+  /** Utility to support promises.
+   * @type {Object}
+   * @private
+   * @fieldOf NetworkDevice#
+   */
+  var Promises = require("../../node-datastore/lib/Promises");
+
+  /** Utility to work with byte ranges.
+   * @type {Object}
+   * @private
+   * @fieldOf NetworkDevice#
+   */
+  var ByteRange = require("../../node-datastore/lib/ByteRange");
+
   /** Node file system API.
    * @type {Object}
    * @private
@@ -58,6 +72,13 @@ module.exports = function NetworkDevice (baseDir, networkManager, index) {
    */
   var http = require("http");
 
+  /** Stream to forward partial content from peers.
+   * @type {Function}
+   * @private
+   * @fieldOf NetworkDevice#
+   */
+  var PassThrough = require("stream").PassThrough;
+
   /** Util to extend objects.
    * @type Function
    * @private
@@ -83,6 +104,18 @@ module.exports = function NetworkDevice (baseDir, networkManager, index) {
    */
   var exists = base.exists;
 
+  /** Base delete() method.
+   * @private
+   * @fieldOf NetworkDevice#
+   */
+  var remove = base.delete;
+
+  /** Base stat() method.
+   * @private
+   * @fieldOf NetworkDevice#
+   */
+  var stat = base.stat;
+
   /** Port where HTTP server is listening for download requests.
    * @type {Number}
    * @private
@@ -142,6 +175,96 @@ module.exports = function NetworkDevice (baseDir, networkManager, index) {
     networkManager.send(message);
   };
 
+  /** Creates the options to request an item to the content server of the
+   * specified peer.
+   *
+   * @param {DataStoreItem} item Required item. Cannot be null.
+   * @param {Peer} peer Peer that contains the remote item. Cannot be null.
+   * @param {Object} serverInfo Remote item descriptor as it was
+   *    provided by the peer in a previous lookup. Cannot be null.
+   * @return {Object} Returns the HTTP request options. Never returns null.
+   * @private
+   * @methodOf NetworkDevice#
+   */
+  var createRequestOptions = function (item, peer, serverInfo) {
+    return {
+      hostname: peer.address,
+      port: serverInfo.port,
+      path: "/",
+      headers: {
+        item: JSON.stringify({
+          id: item.getId(),
+          metadata: item.getMetadata(),
+          status: item.status(base)
+        })
+      }
+    };
+  };
+
+  /** Sets up the item's readable stream to take a range of the content from
+   * the specified peer. Partial content is not stored in the local file
+   * system, each stream requests the range to the peer.
+   *
+   * @param {DataStoreItem} item Item get from the remote machine. Cannot be
+   *    null.
+   * @param {Object} range Requested byte range. Cannot be null.
+   * @param {Peer} peer Peer that contains the remote item to download. Cannot
+   *    be null.
+   * @param {Object} serverInfo Remote item descriptor as it was
+   *    provided by the peer in a previous lookup. Cannot be null.
+   * @param {Function} callback Callback invoked when the range is resolved by
+   *    the peer. It takes an error and the item as parameters. Cannot be null.
+   * @private
+   * @methodOf NetworkDevice#
+   */
+  var createRangeStream = function (item, range, peer, serverInfo,
+      callback) {
+    var request = function (method, responseHandler) {
+      var options = createRequestOptions(item, peer, serverInfo);
+
+      options.method = method;
+      options.headers.range = ByteRange.toHeader(range);
+
+      return http.request(options, responseHandler);
+    };
+    var client = request("HEAD", function (res) {
+      var bounds = ByteRange.fromContentRange(res.headers["content-range"]);
+
+      res.resume();
+
+      if (res.statusCode !== 206 || !bounds) {
+        callback(new Error("Range not available for item " + item.getId() +
+          ", status " + res.statusCode + "."), null);
+        return;
+      }
+      item.range = bounds;
+      item.stream = function () {
+        var output = new PassThrough();
+        var download = request("GET", function (res) {
+          if (res.statusCode === 206) {
+            res.pipe(output);
+          } else {
+            res.resume();
+            output.emit("error", new Error("Bad response."));
+          }
+        });
+
+        download.on("error", function (err) {
+          output.emit("error", err);
+        });
+        download.end();
+
+        return output;
+      };
+      callback(null, item);
+    });
+
+    client.on("error", function (err) {
+      callback(err, null);
+    });
+    client.end();
+  };
+
   /** Sets up the item's readable stream to take content from the specified
    * peer. The item will be stored into a temporary file while reading, so
    * the next time it's required it will be retrieved from the file system.
@@ -160,18 +283,7 @@ module.exports = function NetworkDevice (baseDir, networkManager, index) {
    */
   var createContentStream = function (item, peer, serverInfo, callback) {
     var fileName = base.getFile(item);
-    var options = {
-      hostname: peer.address,
-      port: serverInfo.port,
-      path: "/",
-      headers: {
-        item: JSON.stringify({
-          id: item.getId(),
-          metadata: item.getMetadata(),
-          status: item.status(base)
-        })
-      }
-    };
+    var options = createRequestOptions(item, peer, serverInfo);
     var client = http.request(options, function (res) {
       var writeStream = fs.createWriteStream(fileName);
       var errorMessage = "";
@@ -218,14 +330,27 @@ module.exports = function NetworkDevice (baseDir, networkManager, index) {
     networkManager.createHttpServer(function (req, res) {
       var rawItem = JSON.parse(req.headers.item);
       var item = new DataStoreItem(rawItem.id, rawItem.metadata, rawItem.status);
+      var range = ByteRange.fromHeader(req.headers.range);
 
-      LOG.debug("Received HTTP GET /" + rawItem.id + " from " +
+      LOG.debug("Received HTTP " + req.method + " /" + rawItem.id + " from " +
         req.socket.remoteAddress + ":" + req.socket.remotePort);
 
-      get(item, function (err) {
+      get(item, {
+        range: range
+      }, function (err) {
         if (err) {
           res.writeHead(500);
           res.end(err.message);
+          return;
+        }
+        if (item.range) {
+          res.writeHead(206, {
+            "content-range": ByteRange.toContentRange(item.range),
+            "content-length": item.range.end - item.range.start + 1
+          });
+        }
+        if (req.method === "HEAD") {
+          res.end();
         } else {
           item.stream().pipe(res);
         }
@@ -236,7 +361,7 @@ module.exports = function NetworkDevice (baseDir, networkManager, index) {
     });
   };
 
-  return extend(base, {
+  return Promises.device(extend(base, {
 
     /** Initializes this network device, it must be invoked in order to join
      * the peer network.
@@ -262,41 +387,104 @@ module.exports = function NetworkDevice (baseDir, networkManager, index) {
     },
 
     /** Opens a connection to the specified item and notifies when connection
-     * is ready.
+     * is ready. Ranges of items that don't exist in the local file system are
+     * requested to the peer that has the item. Chunks of chunked items are
+     * items on their own, so only the chunks that don't exist in the local
+     * file system are requested to peers.
+     *
      * @param {DataStoreItem} item Item to open. Cannot be null.
+     * @param {Object} [options] Read options. Can be null.
+     * @param {Object} [options.range] Byte range to read. Can be null.
+     * @param {Boolean} [options.local] Indicates whether to read only the
+     *    local copy of the item. Default is false.
      * @param {Function} callback Function invoked to notify when the connection
      *    is opened. It takes an error and the item as parameters. Cannot be
      *    null.
      */
-    get: function (item, callback) {
-      exists(item, function (itemExists) {
-        if (itemExists) {
-          get(item, callback);
+    get: function (item, options, callback) {
+      var getCallback = callback;
+      var range = options && options.range;
+      var local = options && options.local;
+
+      if (typeof options === "function") {
+        getCallback = options;
+        range = null;
+        local = false;
+      }
+      exists(item, function (err, itemExists) {
+        if (err) {
+          getCallback(err, null);
+        } else if (itemExists) {
+          get(item, {
+            range: range
+          }, getCallback);
+        } else if (local) {
+          getCallback(new Error("Item " + item.getId() + " not found in " +
+            "the local file system."), null);
         } else {
           // Item doesn't exist in the local device, let's pick it from the peer
           // network.
           findItemAndWait(item, function (err, peer, serverInfo) {
             if (err) {
-              callback(err, null);
+              getCallback(err, null);
+            } else if (range) {
+              createRangeStream(item, range, peer, serverInfo, getCallback);
             } else {
-              createContentStream(item, peer, serverInfo, callback);
+              createContentStream(item, peer, serverInfo, getCallback);
             }
           });
         }
       });
     },
 
+    /** Removes the item from the local file system. Copies held by other
+     * peers are not affected, they belong to the peers' own data stores.
+     *
+     * @param {DataStoreItem} item Item to remove. Cannot be null.
+     * @param {Function} callback Callback invoked when the operation has
+     *    finished. It takes an error and the item as parameters. Cannot be
+     *    null.
+     */
+    delete: function (item, callback) {
+      LOG.debug("Removing " + item.getId() + " from the local file system.");
+
+      remove.call(this, item, callback);
+    },
+
+    /** Reports the storage used by this device in the local file system.
+     * Items held by other peers are not included, they're accounted by the
+     * peers' own data stores.
+     *
+     * @param {Function} callback Callback that receives the statistics. It
+     *    takes an error and the statistics as parameters. Statistics have the
+     *    total <code>capacity</code> in bytes, the <code>used</code> bytes,
+     *    the <code>free</code> bytes and the number of <code>items</code>
+     *    stored in the device. Cannot be null.
+     */
+    stat: function (callback) {
+      stat.call(this, callback);
+    },
+
+    /** Indicates whether this device stores content in the local machine.
+     * Items may be downloaded from other peers, so it's not a local device.
+     * @return {Boolean} Always returns false.
+     */
+    isLocal: function () {
+      return false;
+    },
+
     /** Indicates whether the specified item exists in the device or not. This
      * validation could be offline depending on the device implementation.
+     * Deleted items are considered unexisting.
      *
      * @param {DataStoreItem} item Item to validate. Cannot be null.
      * @param {Function} callback Callback to notify whether the item exists or
-     *    not. It receives a boolean as parameter. Cannot be null.
+     *    not. It takes an error and a boolean as parameters. Cannot be null.
      */
     exists: function (item, callback) {
-      index.getItem(item.getId(), function (err) {
-        callback(err == null);
+      index.getItem(item.getId(), function (err, indexItem) {
+        callback(null, err == null && !indexItem.isDeleted());
       });
     }
-  });
+  }));
 };
@@ -49,6 +49,13 @@ module.exports = function NetworkIndex (baseDir, networkManager) {
    */
   var FileSystemIndex = require("../../node-datastore-fs/lib/FileSystemIndex");
 
+  /** Utility to support promises.
+   * @type {Object}
+   * @private
+   * @fieldOf NetworkIndex#
+   */
+  var Promises = require("../../node-datastore/lib/Promises");
+
   /** Base index to inherit behaviour.
    * @type {Object}
    * @private
@@ -70,6 +77,41 @@ module.exports = function NetworkIndex (baseDir, networkManager) {
    */
   var createItem = base.createItem;
 
+  /** Base deleteItem() method.
+   * @type {Function}
+   * @private
+   * @fieldOf NetworkIndex#
+   */
+  var deleteItem = base.deleteItem;
+
+  /** Base updateMetadata() method.
+   * @type {Function}
+   * @private
+   * @fieldOf NetworkIndex#
+   */
+  var updateMetadata = base.updateMetadata;
+
+  /** Base addRef() method.
+   * @type {Function}
+   * @private
+   * @fieldOf NetworkIndex#
+   */
+  var addRef = base.addRef;
+
+  /** Base removeRef() method.
+   * @type {Function}
+   * @private
+   * @fieldOf NetworkIndex#
+   */
+  var removeRef = base.removeRef;
+
+  /** Base setExpiration() method.
+   * @type {Function}
+   * @private
+   * @fieldOf NetworkIndex#
+   */
+  var setExpiration = base.setExpiration;
+
   /** Handlers for messages supported by the index.
    *
    * @namespace
@@ -98,7 +140,68 @@ module.exports = function NetworkIndex (baseDir, networkManager) {
       LOG.debug("Received createItem(" + message.id +
         ") message from network.");
 
-      createItem(message.id, message.metadata, function (err, item) {
+      createItem(message.id, message.metadata, {
+        hash: message.hash,
+        size: message.size,
+        manifest: message.manifest
+      }, function (err, item) {
+        if (err) {
+          callback(err);
+        }
+      });
+    },
+    "index:updateMetadata": function (request, callback) {
+      var message = request.data;
+
+      LOG.debug("Received updateMetadata(" + message.id +
+        ") message from network.");
+
+      // Changes are applied only if the local item has the previous version,
+      // so all peers end up with the same history.
+      updateMetadata(message.id, message.patch, {
+        version: message.version - 1,
+        timestamp: message.timestamp
+      }, function (err) {
+        if (err) {
+          callback(err);
+        }
+      });
+    },
+    "index:addRef": function (request, callback) {
+      LOG.debug("Received addRef(" + request.data.id +
+        ") message from network.");
+
+      addRef(request.data.id, request.data.ref, function (err) {
+        if (err) {
+          callback(err);
+        }
+      });
+    },
+    "index:removeRef": function (request, callback) {
+      LOG.debug("Received removeRef(" + request.data.id +
+        ") message from network.");
+
+      removeRef(request.data.id, request.data.ref, function (err) {
+        if (err) {
+          callback(err);
+        }
+      });
+    },
+    "index:setExpiration": function (request, callback) {
+      LOG.debug("Received setExpiration(" + request.data.id +
+        ") message from network.");
+
+      setExpiration(request.data.id, request.data.expiresAt, function (err) {
+        if (err) {
+          callback(err);
+        }
+      });
+    },
+    "index:deleteItem": function (request, callback) {
+      LOG.debug("Received deleteItem(" + request.data.id +
+        ") message from network.");
+
+      deleteItem(request.data.id, function (err) {
         if (err) {
           callback(err);
         }
@@ -141,7 +244,7 @@ module.exports = function NetworkIndex (baseDir, networkManager) {
     networkManager.addMessageHandlers(NAMESPACE, MessageHandlers);
   }());
 
-  return extend(base, {
+  return Promises.index(extend(base, {
 
     /** Retrieves a single item from the index and search for the item in the
      * peer network if it doesn't exist in the local machine.
@@ -177,18 +280,147 @@ module.exports = function NetworkIndex (baseDir, networkManager) {
      *
      * @param {String} id Unique id for the item. Cannot be null or empty.
      * @param {Object} metadata Item metadata, it's used to initialize the new
-     *    item. Metadata cannot be modified once item is created. Can be null.
+     *    item. It's the first metadata version. Can be null.
+     * @param {Object} [attributes] Additional item information. Can be null.
+     * @param {String} [attributes.hash] Content hash, if it's not the hash in
+     *    the item id. Namespaces saved under a parent item have the parent
+     *    hash in the id.
+     * @param {Number} [attributes.size] Content size in bytes.
+     * @param {String} [attributes.manifest] Hash of the chunk manifest, if
+     *    the content is stored in chunks.
      * @param {Function} callback Callback that receives the new item. It
      *    takes an error and the item as parameters. Cannot be null.
      */
-    createItem: function (id, metadata, callback) {
-      createItem(id, metadata, function (error, item) {
+    createItem: function (id, metadata, attributes, callback) {
+      var itemAttributes = attributes;
+      var createCallback = callback;
+
+      if (typeof attributes === "function") {
+        itemAttributes = null;
+        createCallback = attributes;
+      }
+      createItem(id, metadata, itemAttributes, function (error, item) {
         broadcast("index:createItem", {
           id: item.getId(),
-          metadata: item.getMetadata()
+          metadata: item.getMetadata(),
+          hash: itemAttributes ? itemAttributes.hash : undefined,
+          size: itemAttributes ? itemAttributes.size : undefined,
+          manifest: itemAttributes ? itemAttributes.manifest : undefined
         });
-        callback(error, item);
+        createCallback(error, item);
+      });
+    },
+
+    /** Updates the metadata of an existing item and notifies the peer
+     * network.
+     *
+     * @param {String} id Id of the item to update. Cannot be null or empty.
+     * @param {Object} patch Metadata attributes to change. Cannot be null.
+     * @param {Object} [options] Update options. Can be null.
+     * @param {Number} [options.version] Version the patch is based on. If it's
+     *    set and the item has a different version, the update is rejected.
+     * @param {Function} callback Callback that receives the updated item. It
+     *    takes an error and the item as parameters. Cannot be null.
+     */
+    updateMetadata: function (id, patch, options, callback) {
+      var updateOptions = options;
+      var updateCallback = callback;
+
+      if (typeof options === "function") {
+        updateOptions = null;
+        updateCallback = options;
+      }
+      updateMetadata(id, patch, updateOptions, function (err, item) {
+        var history;
+
+        if (!err) {
+          history = item.getHistory();
+
+          broadcast("index:updateMetadata", {
+            id: id,
+            patch: patch,
+            version: item.getVersion(),
+            timestamp: history[history.length - 1].timestamp
+          });
+        }
+        updateCallback(err, item);
+      });
+    },
+
+    /** Adds a reference to an existing item and notifies the peer network.
+     *
+     * @param {String} id Id of the item to reference. Cannot be null or empty.
+     * @param {String} ref Reference to add. Cannot be null or empty.
+     * @param {Function} callback Callback that receives the updated item. It
+     *    takes an error and the item as parameters. Cannot be null.
+     */
+    addRef: function (id, ref, callback) {
+      addRef(id, ref, function (err, item) {
+        if (!err) {
+          broadcast("index:addRef", {
+            id: id,
+            ref: ref
+          });
+        }
+        callback(err, item);
+      });
+    },
+
+    /** Removes a reference from an existing item and notifies the peer
+     * network.
+     *
+     * @param {String} id Id of the referenced item. Cannot be null or empty.
+     * @param {String} ref Reference to remove. Cannot be null or empty.
+     * @param {Function} callback Callback that receives the updated item. It
+     *    takes an error and the item as parameters. Cannot be null.
+     */
+    removeRef: function (id, ref, callback) {
+      removeRef(id, ref, function (err, item) {
+        if (!err) {
+          broadcast("index:removeRef", {
+            id: id,
+            ref: ref
+          });
+        }
+        callback(err, item);
+      });
+    },
+
+    /** Sets the time an existing item expires and notifies the peer network.
+     *
+     * @param {String} id Id of the item to update. Cannot be null or empty.
+     * @param {Number} expiresAt Expiration time, in milliseconds since the
+     *    epoch. If it's null, the item never expires.
+     * @param {Function} callback Callback that receives the updated item. It
+     *    takes an error and the item as parameters. Cannot be null.
+     */
+    setExpiration: function (id, expiresAt, callback) {
+      setExpiration(id, expiresAt, function (err, item) {
+        if (!err) {
+          broadcast("index:setExpiration", {
+            id: id,
+            expiresAt: expiresAt
+          });
+        }
+        callback(err, item);
+      });
+    },
+
+    /** Flags an existing item as deleted and notifies the peer network.
+     *
+     * @param {String} id Id of the item to flag. Cannot be null or empty.
+     * @param {Function} callback Callback invoked when the item is flagged. It
+     *    takes an error as parameter. Cannot be null.
+     */
+    deleteItem: function (id, callback) {
+      deleteItem(id, function (err) {
+        if (!err) {
+          broadcast("index:deleteItem", {
+            id: id
+          });
+        }
+        callback(err);
       });
     }
-  });
+  }));
 };
@@ -0,0 +1,117 @@
+var assert = require("assert");
+var crypto = require("crypto");
+var EventEmitter = require("events").EventEmitter;
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var NetworkDevice = require("../lib/NetworkDevice");
+var DataStoreItem = require("../../node-datastore/lib/DataStoreItem");
+
+describe("NetworkDevice local cache", function () {
+  var baseDir = path.join(os.tmpdir(), "node-datastore-p2p-test-" +
+    process.pid);
+  var lookups;
+  var device;
+
+  /** Creates an item with the specified content.
+   * @param {String} content Item content. Cannot be null.
+   * @return {DataStoreItem} Returns the item. Never returns null.
+   */
+  var createItem = function (content) {
+    return new DataStoreItem("1220" + crypto.createHash("sha256")
+      .update(content).digest("hex"), {}, {});
+  };
+
+  /** Reads the content of an item.
+   * @param {DataStoreItem} item Item to read. Cannot be null.
+   * @param {Function} callback Callback that receives the content. It takes
+   *    an error and the content as parameters. Cannot be null.
+   */
+  var read = function (item, callback) {
+    var content = "";
+
+    item.stream().on("data", function (chunk) {
+      content += chunk;
+    }).on("error", callback).on("end", function () {
+      callback(null, content);
+    });
+  };
+
+  beforeEach(function () {
+    lookups = 0;
+
+    // Peers never answer, lookups are only counted.
+    device = new NetworkDevice(baseDir, {
+      createBroadcastMessage: function () {
+        return new EventEmitter();
+      },
+      send: function (message) {
+        lookups += 1;
+        message.emit("error", new Error("No peer has the item."));
+      }
+    }, {});
+  });
+
+  after(function () {
+    fs.rmSync(baseDir, {
+      recursive: true,
+      force: true
+    });
+  });
+
+  it("serves locally cached items without asking peers", function (done) {
+    var item = createItem("cached");
+
+    fs.writeFileSync(device.getFile(item), "cached");
+
+    device.get(item, function (err, cachedItem) {
+      assert.ifError(err);
+      read(cachedItem, function (err, content) {
+        assert.ifError(err);
+        assert.strictEqual(content, "cached");
+        assert.strictEqual(lookups, 0);
+        done();
+      });
+    });
+  });
+
+  it("reads ranges of locally cached items", function (done) {
+    var item = createItem("cached range");
+
+    fs.writeFileSync(device.getFile(item), "cached range");
+
+    device.get(item, {
+      range: {
+        start: 7,
+        end: 11
+      },
+      local: true
+    }, function (err, cachedItem) {
+      assert.ifError(err);
+      read(cachedItem, function (err, content) {
+        assert.ifError(err);
+        assert.strictEqual(content, "range");
+        assert.strictEqual(lookups, 0);
+        done();
+      });
+    });
+  });
+
+  it("fails to read missing local copies", function (done) {
+    device.get(createItem("missing"), {
+      local: true
+    }, function (err) {
+      assert.ok(/not found in the local file system/.test(err.message));
+      assert.strictEqual(lookups, 0);
+      done();
+    });
+  });
+
+  it("asks peers for items that aren't cached", function (done) {
+    device.get(createItem("remote"), function (err) {
+      assert.strictEqual(err.message, "No peer has the item.");
+      assert.strictEqual(lookups, 1);
+      done();
+    });
+  });
+});
@@ -1,6 +1,16 @@
 exports = module.exports = {
   DataStore: require("./lib/DataStore"),
   Index: require("./lib/Index"),
+  Journal: require("./lib/Journal"),
   DataStoreItem: require("./lib/DataStoreItem"),
   Device: require("./lib/Device"),
+  CompressedDevice: require("./lib/CompressedDevice"),
+  EncryptedDevice: require("./lib/EncryptedDevice"),
+  KeyProviders: require("./lib/KeyProviders"),
+  ItemId: require("./lib/ItemId"),
+  ReadStrategies: require("./lib/ReadStrategies"),
+  ItemFilter: require("./lib/ItemFilter"),
+  ByteRange: require("./lib/ByteRange"),
+  Chunker: require("./lib/Chunker"),
+  Promises: require("./lib/Promises")
 };
@@ -0,0 +1,140 @@
+/** Utilities to work with byte ranges. Ranges have the <code>start</code> and
+ * <code>end</code> offsets of the content, both inclusive as in HTTP, and the
+ * <code>total</code> length of the content once they're resolved.
+ *
+ * @namespace
+ */
+module.exports = (function () {
+
+  /** Matches a single range in a HTTP Range header.
+   * @constant
+   * @private
+   * @fieldOf ByteRange
+   */
+  var RANGE_HEADER = /^bytes=(\d*)-(\d*)$/;
+
+  /** Matches a HTTP Content-Range header.
+   * @constant
+   * @private
+   * @fieldOf ByteRange
+   */
+  var CONTENT_RANGE_HEADER = /^bytes (\d+)-(\d+)\/(\d+)$/;
+
+  /** Node Transform stream.
+   * @type {Function}
+   * @private
+   * @fieldOf ByteRange
+   */
+  var Transform = require("stream").Transform;
+
+  return {
+
+    /** Resolves the requested range against the content length. The end
+     * offset is adjusted to the content length if it's beyond it.
+     *
+     * @param {Object} range Requested range. It has the <code>start</code>
+     *    and <code>end</code> offsets, both are optional. Cannot be null.
+     * @param {Number} total Content length in bytes. Cannot be null.
+     * @return {Object} Returns the resolved range, or null if the range cannot
+     *    be satisfied.
+     */
+    resolve: function (range, total) {
+      var start = range.start || 0;
+      var end = total - 1;
+
+      if (range.end !== undefined && range.end !== null && range.end < end) {
+        end = range.end;
+      }
+      if (start < 0 || start >= total || end < start) {
+        return null;
+      }
+      return {
+        start: start,
+        end: end,
+        total: total
+      };
+    },
+
+    /** Formats a range as a HTTP Range header.
+     * @param {Object} range Range to format. Cannot be null.
+     * @return {String} Returns the header value. Never returns null or empty.
+     */
+    toHeader: function (range) {
+      var end = range.end;
+
+      return "bytes=" + (range.start || 0) + "-" +
+        (end === undefined || end === null ? "" : end);
+    },
+
+    /** Parses a HTTP Range header. Only single ranges with the start offset
+     * are supported.
+     *
+     * @param {String} header Header value. Can be null.
+     * @return {Object} Returns the range, or null if the header is empty or
+     *    it's not supported.
+     */
+    fromHeader: function (header) {
+      var match = header && RANGE_HEADER.exec(header);
+
+      if (!match || !match[1]) {
+        return null;
+      }
+      return {
+        start: parseInt(match[1], 10),
+        end: match[2] ? parseInt(match[2], 10) : null
+      };
+    },
+
+    /** Creates a stream that takes the whole content and provides only the
+     * specified range. It's meant to read ranges of content that cannot be
+     * read from an offset.
+     *
+     * @param {Object} range Resolved range to provide. Cannot be null.
+     * @return {stream.Transform} Returns the stream. Never returns null.
+     */
+    createFilter: function (range) {
+      var filter = new Transform();
+      var offset = 0;
+
+      filter._transform = function (data, encoding, callback) {
+        var start = Math.max(range.start - offset, 0);
+        var end = Math.min(range.end - offset + 1, data.length);
+
+        offset += data.length;
+
+        if (start < end) {
+          this.push(data.slice(start, end));
+        }
+        callback();
+      };
+
+      return filter;
+    },
+
+    /** Formats a resolved range as a HTTP Content-Range header.
+     * @param {Object} range Resolved range. Cannot be null.
+     * @return {String} Returns the header value. Never returns null or empty.
+     */
+    toContentRange: function (range) {
+      return "bytes " + range.start + "-" + range.end + "/" + range.total;
+    },
+
+    /** Parses a HTTP Content-Range header.
+     * @param {String} header Header value. Can be null.
+     * @return {Object} Returns the resolved range, or null if the header is
+     *    not valid.
+     */
+    fromContentRange: function (header) {
+      var match = header && CONTENT_RANGE_HEADER.exec(header);
+
+      if (!match) {
+        return null;
+      }
+      return {
+        start: parseInt(match[1], 10),
+        end: parseInt(match[2], 10),
+        total: parseInt(match[3], 10)
+      };
+    }
+  };
+}());
@@ -0,0 +1,172 @@
+/** Splits content into content-defined chunks. Chunk boundaries are chosen by
+ * a rolling hash over the content, so changes in the content only affect the
+ * chunks around them and the remaining chunks are kept as they were. It uses
+ * a gear hash, as described by FastCDC.
+ *
+ * @param {Object} [options] Chunking options. Can be null.
+ * @param {Number} [options.minSize] Minimum chunk size in bytes. Default is
+ *    256 KiB.
+ * @param {Number} [options.averageSize] Expected chunk size in bytes, on top
+ *    of the minimum size. It's rounded to a power of two. Default is 1 MiB.
+ * @param {Number} [options.maxSize] Maximum chunk size in bytes. Default is
+ *    4 MiB.
+ * @return {stream.Transform} Returns a stream that takes the content and
+ *    provides each chunk as a Buffer. Never returns null.
+ * @constructor
+ */
+module.exports = function Chunker (options) {
+
+  /** Node crypto API.
+   * @type {Object}
+   * @private
+   * @fieldOf Chunker#
+   */
+  var crypto = require("crypto");
+
+  /** Node Transform stream.
+   * @type {Function}
+   * @private
+   * @fieldOf Chunker#
+   */
+  var Transform = require("stream").Transform;
+
+  /** Default minimum chunk size.
+   * @constant
+   * @private
+   * @fieldOf Chunker#
+   */
+  var MIN_SIZE = 256 * 1024;
+
+  /** Default expected chunk size.
+   * @constant
+   * @private
+   * @fieldOf Chunker#
+   */
+  var AVERAGE_SIZE = 1024 * 1024;
+
+  /** Default maximum chunk size.
+   * @constant
+   * @private
+   * @fieldOf Chunker#
+   */
+  var MAX_SIZE = 4 * 1024 * 1024;
+
+  /** Random value for each byte, used by the rolling hash. Values are derived
+   * from a fixed seed, so the same content is always split in the same way.
+   * @constant
+   * @private
+   * @fieldOf Chunker#
+   */
+  var GEAR = (function () {
+    var table = [];
+    var i;
+
+    for (i = 0; i < 256; i++) {
+      table.push(crypto.createHash("md5").update("gear" + i).digest()
+        .readUInt32BE(0));
+    }
+    return table;
+  }());
+
+  /** Minimum chunk size.
+   * @type {Number}
+   * @private
+   * @fieldOf Chunker#
+   */
+  var minSize = (options && options.minSize) || MIN_SIZE;
+
+  /** Maximum chunk size.
+   * @type {Number}
+   * @private
+   * @fieldOf Chunker#
+   */
+  var maxSize = Math.max((options && options.maxSize) || MAX_SIZE, minSize);
+
+  /** Mask of the hash bits that must be zero to cut a chunk. It takes the
+   * highest bits, which depend on more bytes of content.
+   * @type {Number}
+   * @private
+   * @fieldOf Chunker#
+   */
+  var mask = (function () {
+    var averageSize = (options && options.averageSize) || AVERAGE_SIZE;
+    var bits = Math.min(Math.max(Math.round(Math.log(averageSize) /
+      Math.LN2), 1), 31);
+
+    return (Math.pow(2, bits) - 1) * Math.pow(2, 32 - bits);
+  }());
+
+  /** Stream that splits the content.
+   * @type {stream.Transform}
+   * @private
+   * @fieldOf Chunker#
+   */
+  var chunker = new Transform({
+    readableObjectMode: true
+  });
+
+  /** Parts of the current chunk.
+   * @type {Buffer[]}
+   * @private
+   * @fieldOf Chunker#
+   */
+  var parts = [];
+
+  /** Size of the current chunk.
+   * @type {Number}
+   * @private
+   * @fieldOf Chunker#
+   */
+  var size = 0;
+
+  /** Rolling hash of the current chunk.
+   * @type {Number}
+   * @private
+   * @fieldOf Chunker#
+   */
+  var hash = 0;
+
+  /** Provides the current chunk and starts a new one.
+   * @private
+   * @methodOf Chunker#
+   */
+  var cut = function () {
+    chunker.push(Buffer.concat(parts, size));
+    parts = [];
+    size = 0;
+    hash = 0;
+  };
+
+  chunker._transform = function (data, encoding, callback) {
+    var start = 0;
+    var i;
+
+    for (i = 0; i < data.length; i++) {
+      size += 1;
+
+      // Bytes below the minimum size never cut a chunk, so they're not
+      // hashed.
+      if (size > minSize) {
+        hash = ((hash << 1) + GEAR[data[i]]) >>> 0;
+      }
+      if (size >= maxSize || (size > minSize && (hash & mask) === 0)) {
+        parts.push(data.slice(start, i + 1));
+        start = i + 1;
+        cut();
+      }
+    }
+    if (start < data.length) {
+      parts.push(data.slice(start));
+    }
+    callback();
+  };
+
+  chunker._flush = function (callback) {
+    if (size > 0) {
+      cut();
+    }
+    callback();
+  };
+
+  return chunker;
+};
@@ -0,0 +1,420 @@
+/** Device that compresses content before it's stored in another device. It
+ * wraps any device and it takes its id, so it can replace the wrapped device
+ * in a data store that already has items.
+ *
+ * Content is compressed on <code>put()</code> and decompressed on
+ * <code>get()</code>. Items that are already compressed according to their
+ * mime type, taken from the <code>type</code> metadata attribute, are stored
+ * as they are. The algorithm and the original size of each replica are kept
+ * in the <code>compression</code> entry of the item status
+ * <code>details</code> for this device, so compressed and uncompressed
+ * replicas can coexist, and replicas stored before the device was wrapped are
+ * still readable. Details of other wrappers are kept, so it can wrap an
+ * {@link EncryptedDevice} to compress content before it's encrypted.
+ *
+ * @param {Device} device Device to store content to. Cannot be null.
+ * @param {Object} [options] Compression options. Can be null.
+ * @param {String} [options.algorithm] Compression algorithm. It could be
+ *    <code>gzip</code>, <code>deflate</code> or <code>brotli</code>. Default
+ *    is <code>gzip</code>.
+ * @param {Number} [options.level] Compression level, as it's defined by the
+ *    algorithm. By default it uses the algorithm default level.
+ * @param {String[]} [options.compressedTypes] Mime types that are not
+ *    compressed again. Wildcards are supported for subtypes, like
+ *    <code>video/*</code>. By default it skips common image, audio, video and
+ *    archive formats.
+ * @constructor
+ * @augments Device
+ */
+module.exports = function CompressedDevice (device, options) {
+
+  /** Device base constructor.
+   * @type {Function}
+   * @private
+   * @fieldOf CompressedDevice#
+   */
+  var Device = require("./Device");
+
+  /** Utility to build item filters.
+   * @type {Function}
+   * @private
+   * @fieldOf CompressedDevice#
+   */
+  var ItemFilter = require("./ItemFilter");
+
+  /** Utility to support promises.
+   * @type {Object}
+   * @private
+   * @fieldOf CompressedDevice#
+   */
+  var Promises = require("./Promises");
+
+  /** Utility to work with byte ranges.
+   * @type {Object}
+   * @private
+   * @fieldOf CompressedDevice#
+   */
+  var ByteRange = require("./ByteRange");
+
+  /** Util to extend objects.
+   * @type {Function}
+   * @private
+   * @fieldOf CompressedDevice#
+   */
+  var extend = require("extend");
+
+  /** Node compression API.
+   * @type {Object}
+   * @private
+   * @fieldOf CompressedDevice#
+   */
+  var zlib = require("zlib");
+
+  /** Default compression algorithm.
+   * @constant
+   * @private
+   * @fieldOf CompressedDevice#
+   */
+  var DEFAULT_ALGORITHM = "gzip";
+
+  /** Mime types that are already compressed.
+   * @constant
+   * @private
+   * @fieldOf CompressedDevice#
+   */
+  var COMPRESSED_TYPES = ["image/jpeg", "image/png", "image/gif",
+    "image/webp", "image/avif", "image/heic", "video/*", "audio/mpeg",
+    "audio/aac", "audio/mp4", "audio/ogg", "audio/opus", "audio/flac",
+    "audio/webm", "font/woff", "font/woff2", "application/zip",
+    "application/gzip", "application/x-gzip", "application/x-bzip2",
+    "application/x-xz", "application/x-7z-compressed", "application/vnd.rar",
+    "application/x-rar-compressed", "application/zstd"];
+
+  /** Supported algorithms. Each algorithm has the functions to create the
+   * compression and decompression streams.
+   * @constant
+   * @private
+   * @fieldOf CompressedDevice#
+   */
+  var ALGORITHMS = {
+    gzip: {
+      compress: function (level) {
+        return zlib.createGzip(level === undefined ? {} : {
+          level: level
+        });
+      },
+      decompress: function () {
+        return zlib.createGunzip();
+      }
+    },
+    deflate: {
+      compress: function (level) {
+        return zlib.createDeflate(level === undefined ? {} : {
+          level: level
+        });
+      },
+      decompress: function () {
+        return zlib.createInflate();
+      }
+    },
+    brotli: {
+      compress: function (level) {
+        var params = {};
+
+        if (level !== undefined) {
+          params[zlib.constants.BROTLI_PARAM_QUALITY] = level;
+        }
+        return zlib.createBrotliCompress({
+          params: params
+        });
+      },
+      decompress: function () {
+        return zlib.createBrotliDecompress();
+      }
+    }
+  };
+
+  /** Algorithm used to compress new replicas.
+   * @type {String}
+   * @private
+   * @fieldOf CompressedDevice#
+   */
+  var algorithm = (options && options.algorithm) || DEFAULT_ALGORITHM;
+
+  /** Determines whether an item is already compressed.
+   * @type {Function}
+   * @private
+   * @fieldOf CompressedDevice#
+   */
+  var isCompressed = new ItemFilter({
+    types: (options && options.compressedTypes) || COMPRESSED_TYPES
+  });
+
+  /** Validates the configured algorithm.
+   * @private
+   * @methodOf CompressedDevice#
+   */
+  var initialize = function () {
+    if (!ALGORITHMS.hasOwnProperty(algorithm) ||
+        (algorithm === "brotli" && !zlib.createBrotliCompress)) {
+      throw new Error("Compression algorithm not supported: " + algorithm);
+    }
+  };
+
+  /** Returns the details of the item status for this device.
+   * @param {DataStoreItem} item Item to check. Cannot be null.
+   * @return {Object} Returns the status details, or null if there're no
+   *    details.
+   * @private
+   * @methodOf CompressedDevice#
+   */
+  var findDetails = function (item) {
+    var status = item.status(device);
+
+    return (status && status.details) || null;
+  };
+
+  /** Returns the compression details of the replica stored in the wrapped
+   * device.
+   * @param {DataStoreItem} item Item to check. Cannot be null.
+   * @return {Object} Returns the compression details, or null if the replica
+   *    is not compressed.
+   * @private
+   * @methodOf CompressedDevice#
+   */
+  var findEncoding = function (item) {
+    var details = findDetails(item);
+    var compression = details && details.compression;
+
+    return compression && ALGORITHMS.hasOwnProperty(compression.algorithm) ?
+      compression : null;
+  };
+
+  initialize();
+
+  return Promises.api(Promises.device(extend(new Device(device.getId()), {
+
+    /** Indicates whether the wrapped device supports the specified item.
+     *
+     * @param {DataStoreItem} item Item to check. Cannot be null.
+     * @return {Boolean} Returns true if the item is supported, false
+     *    otherwise.
+     */
+    supports: function (item) {
+      return typeof device.supports !== "function" || device.supports(item);
+    },
+
+    /** Compresses the item and sends it to the wrapped device. Items that are
+     * already compressed are sent as they are. It updates the item to
+     * reflect the status on this device.
+     *
+     * @param {DataStoreItem} item Item to send. Cannot be null.
+     * @param {Function} callback Callback invoked when the operation has
+     *    finished. It takes an error and the item as parameter. Cannot be null.
+     */
+    put: function (item, callback) {
+      var itemStream = item.stream;
+      var size = 0;
+
+      if (isCompressed(item)) {
+        device.put(item, callback);
+        return;
+      }
+      item.stream = function () {
+        var input = itemStream.call(item);
+        var compressor = ALGORITHMS[algorithm].compress(options &&
+          options.level);
+
+        input.on("data", function (data) {
+          size += data.length;
+        });
+        input.on("error", function (err) {
+          compressor.emit("error", err);
+        });
+        return input.pipe(compressor);
+      };
+
+      device.put(item, function (err) {
+        item.stream = itemStream;
+
+        if (err) {
+          callback(err, item);
+          return;
+        }
+        item.status(device, 200, null, extend({}, findDetails(item), {
+          compression: {
+            algorithm: algorithm,
+            size: size
+          }
+        }));
+        callback(null, item);
+      });
+    },
+
+    /** Moves a provisional item to the final item in the wrapped device. The
+     * final item keeps the details of the provisional item.
+     *
+     * @param {DataStoreItem} provisionalItem Item sent to this device. Cannot
+     *    be null.
+     * @param {DataStoreItem} item Final item. Cannot be null.
+     * @param {Function} callback Callback invoked when the operation has
+     *    finished. It takes an error and the final item as parameters. Cannot
+     *    be null.
+     */
+    commit: function (provisionalItem, item, callback) {
+      var details = findDetails(provisionalItem);
+
+      device.commit(provisionalItem, item, function (err) {
+        if (!err && details) {
+          item.status(device, 200, null, details);
+        }
+        callback(err || null, item);
+      });
+    },
+
+    /** Opens a connection to the specified item and notifies when connection
+     * is ready. Compressed replicas are decompressed while they're read, and
+     * ranges are resolved against the original content.
+     *
+     * @param {DataStoreItem} item Item to open. Cannot be null.
+     * @param {Object} [options] Read options, they're passed to the wrapped
+     *    device. Can be null.
+     * @param {Object} [options.range] Byte range to read. Can be null.
+     * @param {Function} callback Function invoked to notify when the connection
+     *    is opened. It takes an error and the item as parameters. Cannot be
+     *    null.
+     */
+    get: function (item, options, callback) {
+      var getOptions = options || {};
+      var getCallback = callback;
+      var compression = findEncoding(item);
+      var bounds;
+
+      if (typeof options === "function") {
+        getOptions = {};
+        getCallback = options;
+      }
+      if (!compression) {
+        device.get(item, getOptions, getCallback);
+        return;
+      }
+      bounds = getOptions.range && ByteRange.resolve(getOptions.range,
+        compression.size);
+
+      if (getOptions.range && !bounds) {
+        getCallback(new Error("Range not satisfiable for item " +
+          item.getId() + "."), null);
+        return;
+      }
+
+      // Compressed content cannot be read from an offset, so the whole
+      // replica is read and the range is taken from the original content.
+      device.get(item, extend({}, getOptions, {
+        range: null
+      }), function (err) {
+        var itemStream = item.stream;
+
+        if (err) {
+          getCallback(err, null);
+          return;
+        }
+        item.range = bounds || null;
+        item.stream = function () {
+          var input = itemStream.call(item);
+          var decompressor = ALGORITHMS[compression.algorithm].decompress();
+          var filter;
+
+          input.on("error", function (err) {
+            decompressor.emit("error", err);
+          });
+          input.pipe(decompressor);
+
+          if (!bounds) {
+            return decompressor;
+          }
+          filter = ByteRange.createFilter(bounds);
+
+          decompressor.on("error", function (err) {
+            filter.emit("error", err);
+          });
+          return decompressor.pipe(filter);
+        };
+        getCallback(null, item);
+      });
+    },
+
+    /** Wraps the data key of an item with the current master key, if the
+     * wrapped device encrypts content. Other devices leave the item as it
+     * is.
+     *
+     * @param {DataStoreItem} item Item to update. Cannot be null.
+     * @param {Function} callback Callback invoked when the operation has
+     *    finished. It takes an error and the item as parameters. Cannot be
+     *    null.
+     */
+    rotateKey: function (item, callback) {
+      if (typeof device.rotateKey === "function") {
+        device.rotateKey(item, callback);
+      } else {
+        callback(null, item);
+      }
+    },
+
+    /** Removes the item from the wrapped device.
+     *
+     * @param {DataStoreItem} item Item to remove. Cannot be null.
+     * @param {Function} callback Callback invoked when the operation has
+     *    finished. It takes an error and the item as parameters. Cannot be
+     *    null.
+     */
+    delete: function (item, callback) {
+      device.delete(item, callback);
+    },
+
+    /** Lists the ids of all items stored in the wrapped device.
+     *
+     * @param {Function} callback Callback that receives the item ids. It takes
+     *    an error and the list of ids as parameters. Cannot be null.
+     */
+    list: function (callback) {
+      device.list(callback);
+    },
+
+    /** Reports the storage used by the wrapped device. Sizes are the sizes of
+     * the compressed content.
+     *
+     * @param {Function} callback Callback that receives the statistics. It
+     *    takes an error and the statistics as parameters. Cannot be null.
+     */
+    stat: function (callback) {
+      device.stat(callback);
+    },
+
+    /** Determines whether the wrapped device is available or not.
+     * @param {Function} callback Callback invoked to notify whether the device
+     *    is available or not. It takes an error and a boolean as parameters.
+     *    Cannot be null.
+     */
+    ping: function (callback) {
+      device.ping(callback);
+    },
+
+    /** Indicates whether the wrapped device stores content in the local
+     * machine.
+     * @return {Boolean} Returns true if the content is local, false otherwise.
+     */
+    isLocal: function () {
+      return device.isLocal();
+    },
+
+    /** Indicates whether the specified item exists in the wrapped device.
+     *
+     * @param {DataStoreItem} item Item to validate. Cannot be null.
+     * @param {Function} callback Callback to notify whether the item exists or
+     *    not. It takes an error and a boolean as parameters. Cannot be null.
+     */
+    exists: function (item, callback) {
+      device.exists(item, callback);
+    }
+  })), ["rotateKey"]);
+};
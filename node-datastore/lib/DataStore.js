@@ -3,83 +3,272 @@
  * it manages the main index.
  *
  * When items are saved they are replicated into all supported devices. Devices
- * are responsible to tell which items are supported or not. Items are always
- * saved to the index, either the physical item is successfully saved or not.
+ * are responsible to tell which items are supported or not via
+ * <code>supports()</code>, unsupported items are flagged in the item status
+ * and they're neither written, read nor synchronized. The replication
+ * policy determines how many devices must receive the item before it's
+ * considered saved, the remaining devices are synchronized in background.
+ * Items are always saved to the index, either the physical item is
+ * successfully saved or not.
  * If a single device fails, the item will be flagged with error for that device
  * and could be saved later by calling <code>sync(id)</code>. If a device fails
  * and the item doesn't exist in any other device, it will be flagged as missing
  * in the index. Missing items are re-attached later when they're saved again.
- * If the index fails, items will no be written to devices and it's considered
- * an unrecoverable error.
+ * Content is streamed into devices under a provisional id while it's hashed,
+ * and it's committed under the content hash once the item is saved to the
+ * index. If the index fails, provisional content is removed from devices and
+ * it's considered an unrecoverable error.
+ *
+ * Content that already exists is detected once it's hashed, so it's still
+ * streamed into devices and the provisional copies are discarded instead of
+ * committed. Device writes are skipped only if the client provides the
+ * content hash via the <code>digest</code> save option.
+ *
+ * Saves, deletions and synchronizations can be recorded in a write-ahead
+ * journal, provided via the <code>journal</code> option. Operations are
+ * recorded before they change devices or the index, and they're finished once
+ * the index is flushed. When the data store is created, interrupted
+ * operations are either replayed or rolled back: provisional content is
+ * removed, saves that reached a device are synchronized and the rest are
+ * deleted, deletions are completed and synchronizations are scheduled again.
+ * Operations requested meanwhile wait until the recovery finishes.
  *
  * Items are unique in the data store. The content is hashed to represent a
- * unique physical element. Items also support namespaces. A namespace is
- * another representation of the same item. Namespaces and main items are
- * treated as composite key, this means namespaces are not hashed so the same
- * namespace in different items will represent different physical resources.
+ * unique physical element. Ids are self-describing, so the hash algorithm can
+ * be changed without affecting existing items. Items also support namespaces.
+ * A namespace is another representation of the same item. Namespaces and main
+ * items are treated as composite key, this means namespaces are not hashed so
+ * the same namespace in different items will represent different physical
+ * resources. Namespaces saved with a parent item share the parent hash, so
+ * they're retrieved with the parent item id, they can be listed via
+ * <code>getNamespaces()</code> and they're deleted together with the parent
+ * item via <code>deleteAll()</code>.
+ *
+ * Namespaces can also be derived from main items by transformers registered
+ * via <code>addTransformer()</code>. Derived namespaces are created when the
+ * main item is saved, and they're recreated when they're required and they
+ * don't exist anymore.
+ *
+ * Items are retrieved from the first available device according to the read
+ * strategy. Available means a device that answers a <code>ping()</code>
+ * request and contains the item. It depends on device implementation. If a
+ * device fails while the item is read, reading continues from the next
+ * available device.
  *
- * Items are retrieved from the first available device. This data store does
- * not support any strategy to choose a specific device. Available means the
- * first device from the list that answers a <code>ping()</code> request. It
- * depends on device implementation.
+ * Content is shared by everyone who saves it, so items can be referenced by
+ * owners or any other opaque id via <code>addRef()</code> or the
+ * <code>ref</code> save option. Referenced items cannot be deleted, they're
+ * deleted when the last reference is released via <code>removeRef()</code>,
+ * and they're not purged even if their content is missing.
  *
  * Delete is always logical. Items are physically removed from devices and then
  * flagged as deleted in the index. They will remain available in the index
  * unless <code>purge()</code> is used. After purging, any item that failed to
- * be deleted from a device will be orphan in that device. This data store does
- * not provide any strategy to find orphan items (maybe Index implementations
- * will do). Namespaces are also removed from physical devices but kept in the
+ * be deleted from a device will be orphan in that device. Purging also looks
+ * for orphan items in all devices and removes them, unless it runs in dry-run
+ * mode. Namespaces are also removed from physical devices but kept in the
  * index.
  *
  * Synchronization is triggered via <code>sync()</code>. This process replicates
  * and deletes items into/from failed devices. Errors during synchronization
  * will be reported but ignored by the process.
  *
+ * Large items can be stored in chunks. Chunking is enabled for all items via
+ * the <code>chunking</code> option, or for a single item via the
+ * <code>chunked</code> save option. The content is split into content-defined
+ * chunks, so items that share most of their content share most of their
+ * chunks. Each chunk is stored as an item in the reserved
+ * <code>$chunk</code> namespace and it's identified by its own hash, so it's
+ * replicated, synchronized and scrubbed as any other item, and it's written
+ * only once no matter how many items have it. Devices store a manifest as the
+ * content of a chunked item, and the content is reassembled from the chunks
+ * when the item is read. Chunks are referenced by the items they belong to,
+ * and they're removed by <code>purge()</code> once no item references them.
+ *
+ * Devices report their storage usage via <code>stat()</code>. Devices that
+ * don't have room for a new item, either because they're running out of space
+ * or because they reached their quota, are skipped on save. They're flagged as
+ * failed for the item, so it's replicated by synchronization once there's
+ * room again. The usage of all devices is available via
+ * <code>stat()</code>.
+ *
+ * Items saved with the <code>ttl</code> or <code>expiresAt</code> options
+ * expire at the specified time. Expired items are not provided by
+ * <code>get()</code>, and they're deleted from all devices by
+ * <code>expire()</code>, which runs in background if the
+ * <code>expiryInterval</code> option is set. Main items are deleted along
+ * with their namespaces, and referenced items are kept until the last
+ * reference is released. Saving content that already exists never shortens
+ * the life of the existing item.
+ *
+ * The number of saves running at the same time is limited by the
+ * <code>maxConcurrentSaves</code> option, and the number of writes running
+ * at the same time in each device by the <code>maxDeviceWrites</code>
+ * option. Saves beyond the limit wait in a queue. Producers apply
+ * backpressure by checking <code>getQueueDepth()</code> and waiting for the
+ * <code>save:drain</code> event, and they can provide a function that opens
+ * the stream instead of the stream itself, so files are not opened until
+ * the save starts.
+ *
+ * Content is validated while it's saved. Saves are rejected if the content
+ * exceeds the <code>maxItemSize</code> option, in which case the stream is
+ * not read anymore, if it doesn't match the expected <code>size</code> or
+ * <code>digest</code> save options, or if any validator registered via
+ * <code>addValidator()</code> rejects it. Rejected content is discarded
+ * before the item is registered, so nothing is left in the index nor in
+ * devices.
+ *
+ * Scrubbing via <code>scrub()</code> reads every replica again and checks it
+ * against the item hash. Corrupted replicas are flagged in the item status and
+ * repaired by synchronization.
+ *
+ * Asynchronous methods take a callback as last parameter. If the callback is
+ * omitted they return a promise instead, so they can be used with
+ * <code>async/await</code>. The <code>save()</code> promise is resolved with
+ * the item, the save report is available via the <code>item:saved</code>
+ * event.
+ *
+ * The data store is an event emitter. Listeners receive an object with the
+ * item <code>id</code>, the <code>namespace</code> and the
+ * <code>device</code> id, if any, plus event specific data. Supported events
+ * are:
+ *
+ * <ul>
+ *   <li><code>item:saved</code>: an item was saved, it has the save
+ *   <code>report</code>.</li>
+ *   <li><code>item:updated</code>: the item metadata was updated, it has the
+ *   new metadata <code>version</code>.</li>
+ *   <li><code>item:deleted</code>: an item was deleted.</li>
+ *   <li><code>item:corrupted</code>: the replica of an item in a device
+ *   doesn't match the item hash.</li>
+ *   <li><code>item:synced</code>: an item was synchronized, it has the number
+ *   of devices that <code>failed</code>.</li>
+ *   <li><code>item:recovered</code>: an interrupted operation was recovered,
+ *   it has the <code>operation</code> type and the <code>action</code>, which
+ *   is either <code>replayed</code> or <code>rolledBack</code>.</li>
+ *   <li><code>device:error</code>: a device failed, it has the
+ *   <code>error</code> and the operation <code>type</code>.</li>
+ *   <li><code>device:unavailable</code>: a device didn't answer a ping.</li>
+ *   <li><code>save:progress</code>: content was written while saving, it has
+ *   the number of <code>bytes</code> read so far. The id is the provisional
+ *   id since the item id is not known yet.</li>
+ *   <li><code>save:drain</code>: the queued saves have finished.</li>
+ * </ul>
+ *
  * @param {Index} index Index to save items meta data. Cannot be null.
  * @param {Device[]} devices List of devices supported by this data store.
  *    Cannot be null.
  * @param {Function} [options.errorHandler] Function notified when there's an
  *    error processing an item. It receives the error, item id, namespace and
  *    error type as parameters. Error types could be <code>get</code>,
- *    <code>delete</code>, <code>save</code> or <code>sync</code>.
+ *    <code>delete</code>, <code>save</code>, <code>sync</code>,
+ *    <code>purge</code>, <code>transform</code>, <code>scrub</code>,
+ *    <code>rotate</code>, <code>stat</code> or <code>journal</code>.
+ * @param {String} [options.hash] Hash algorithm used to generate ids for new
+ *    items. It could be <code>sha256</code>, <code>sha512</code>,
+ *    <code>blake2</code> or <code>md5</code>. Default is <code>sha256</code>.
+ * @param {String|Object} [options.readStrategy] Strategy to choose the device
+ *    to read items from. It could be <code>priority</code>,
+ *    <code>roundRobin</code>, <code>latency</code>, <code>localFirst</code>
+ *    or a custom strategy as it's described in ReadStrategies. Default is
+ *    <code>priority</code>.
+ * @param {Object} [options.replication] Replication policy for new items.
+ * @param {String} [options.replication.mode] Either <code>all</code> to write
+ *    items to all devices, <code>quorum</code> to write items to at least the
+ *    number of devices specified by <code>replication.quorum</code> or
+ *    <code>devices</code> to write items to the devices specified by
+ *    <code>replication.devices</code>. In quorum and devices modes the
+ *    remaining devices are synchronized in background. Default is
+ *    <code>all</code>.
+ * @param {Number} [options.replication.quorum] Minimum number of devices to
+ *    write to in quorum mode.
+ * @param {String[]} [options.replication.devices] Ids of the devices to write
+ *    to in devices mode.
+ * @param {Boolean|Object} [options.chunking] Indicates whether to store new
+ *    items in chunks. It's either true or the chunk sizes as they're taken
+ *    by Chunker. By default items are stored as a whole.
+ * @param {Object} [options.quotas] Maximum number of bytes each device can
+ *    use, indexed by device id. By default devices are limited only by
+ *    their free space.
+ * @param {Number} [options.statInterval] Time to keep the statistics of
+ *    devices before reading them again, in milliseconds. Default is one
+ *    minute.
+ * @param {Journal} [options.journal] Journal to record operations, so they
+ *    can be recovered if the process dies. By default operations are not
+ *    recorded.
+ * @param {Number} [options.expiryInterval] Time between expiry sweeps in
+ *    background, in milliseconds. By default expired items are deleted only
+ *    by <code>expire()</code>.
+ * @param {Number} [options.maxItemSize] Maximum size of saved items in
+ *    bytes. By default the size is not limited.
+ * @param {Number} [options.maxConcurrentSaves] Maximum number of saves
+ *    running at the same time. By default saves are not limited.
+ * @param {Number} [options.maxDeviceWrites] Maximum number of writes
+ *    running at the same time in each device. By default writes are not
+ *    limited.
+ * @param {Function} [options.progressHandler] Function notified each time an
+ *    item is synchronized. It receives the item id, the number of processed
+ *    items and the total number of items as parameters.
  * @constructor
+ * @augments EventEmitter
  */
 module.exports = function DataStore(index, devices, options) {
 
-  /** Node file system API.
+  /** Node file crypto API.
    * @type {Object}
    * @private
    * @fieldOf DataStore#
    */
-  var fs = require("fs");
+  var crypto = require("crypto");
 
-  /** Node path API.
+  /** Node's events API.
    * @type {Object}
    * @private
    * @fieldOf DataStore#
    */
-  var path = require("path");
+  var events = require("events");
 
-  /** Node file crypto API.
+  /** Util to extend objects.
+   * @type {Function}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var extend = require("extend");
+
+  /** Async utility library.
    * @type {Object}
    * @private
    * @fieldOf DataStore#
    */
-  var crypto = require("crypto");
+  var async = require("async");
 
-  /** Node operating system API.
+  /** Item ids utility.
    * @type {Object}
    * @private
    * @fieldOf DataStore#
    */
-  var os = require("os");
+  var ItemId = require("./ItemId");
 
-  /** Async utility library.
+  /** Strategies to choose the device to read items from.
    * @type {Object}
    * @private
    * @fieldOf DataStore#
    */
-  var async = require("async");
+  var ReadStrategies = require("./ReadStrategies");
+
+  /** Utility to support promises.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var Promises = require("./Promises");
+
+  /** DataStoreItem constructor.
+   * @type {Function}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var DataStoreItem = require("./DataStoreItem");
 
   /** Node Writable stream.
    * @type {Function}
@@ -88,144 +277,3154 @@ module.exports = function DataStore(index, devices, options) {
    */
   var Writable = require("stream").Writable;
 
-  /** Composes a valid item id from its base identifier and the namespace.
-   * @param {String} id Item unique id. Cannot be null or empty.
-   * @param {String} [namespace] Item namespace. Can be null.
-   * @return {String} Returns the item composite id. Never returns null or
-   *    empty.
+  /** Node PassThrough stream.
+   * @type {Function}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var PassThrough = require("stream").PassThrough;
+
+  /** Node Transform stream.
+   * @type {Function}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var Transform = require("stream").Transform;
+
+  /** Utility to work with byte ranges.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var ByteRange = require("./ByteRange");
+
+  /** Chunker constructor.
+   * @type {Function}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var Chunker = require("./Chunker");
+
+  /** Data store instance, it emits the data store events.
+   * @type {EventEmitter}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var dataStore = new events.EventEmitter();
+
+  /** Ids of provisional items that are being written to devices, until
+   * they're committed or removed. They must not be considered orphan items.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var pendingItems = {};
+
+  /** Hash algorithm used to generate item ids.
+   * @type {String}
+   * @private
+   * @fieldOf DataStore#
    */
-  var composeId = function (id, namespace) {
-    var itemId = id;
+  var algorithm = (options && options.hash) || ItemId.DEFAULT_ALGORITHM;
 
-    if (namespace) {
-      itemId += "_" + namespace;
+  /** Validates the configured hash algorithm.
+   * @private
+   * @methodOf DataStore#
+   */
+  var initialize = function () {
+    if (!ItemId.isSupported(algorithm)) {
+      throw new Error("Hash algorithm not supported: " + algorithm);
     }
+  };
+
+  /** Strategy to choose the device to read items from.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var readStrategy = ReadStrategies.resolve(options && options.readStrategy);
 
-    return itemId;
+  /** Replication policy for new items.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var replication = (options && options.replication) || {
+    mode: "all"
   };
 
-  /** Reads the stream to generate the item id and creates the temporary swap
-   * stream.
-   *
-   * @param {stream.Readable} stream Stream to read. Cannot be null.
-   * @param {String} namespace Item namespace, if any. Can be null.
-   * @param {Function} callback Function invoked when stream is read. It takes
-   *    the item id and the temporary swap stream as parameters.
+  /** Ids of items waiting for background synchronization.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var queuedItems = {};
+
+  /** Callbacks waiting for background synchronization to finish.
+   * @type {Function[]}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var idleCallbacks = [];
+
+  /** Transformers to derive namespaces from main items, indexed by
+   * namespace.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var transformers = {};
+
+  /** Functions to validate content before it's saved.
+   * @type {Function[]}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var validators = [];
+
+  /** Maximum size of saved items in bytes, or null if the size is not
+   * limited.
+   * @type {Number}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var maxItemSize = (options && options.maxItemSize) || null;
+
+  /** Default time to keep device statistics, in milliseconds.
+   * @constant
+   * @private
+   * @fieldOf DataStore#
+   */
+  var STAT_INTERVAL = 60000;
+
+  /** Maximum number of bytes each device can use, indexed by device id.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var quotas = (options && options.quotas) || {};
+
+  /** Time to keep device statistics before reading them again, in
+   * milliseconds.
+   * @type {Number}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var statInterval = (options && options.statInterval !== undefined) ?
+    options.statInterval : STAT_INTERVAL;
+
+  /** Last statistics read from each device, indexed by device id. Each entry
+   * has the <code>stats</code> and the <code>time</code> they were read.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var deviceStats = {};
+
+  /** Namespace of the chunks of chunked items. It's reserved, so items
+   * cannot be saved with it.
+   * @constant
+   * @private
+   * @fieldOf DataStore#
+   */
+  var CHUNK_NAMESPACE = "$chunk";
+
+  /** Options to split content into chunks, or null if items are stored as a
+   * whole by default.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var chunking = (options && options.chunking === true) ? {} :
+    (options && options.chunking) || null;
+
+  /** Number of saves using each chunk, indexed by chunk id. Chunks are
+   * referenced once the item is saved, so they must not be purged before.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var pendingChunks = {};
+
+  /** Time between expiry sweeps in background, in milliseconds, or null if
+   * there's no sweep in background.
+   * @type {Number}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var expiryInterval = (options && options.expiryInterval) || null;
+
+  /** Journal to record operations, or null if operations are not recorded.
+   * @type {Journal}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var journal = (options && options.journal) || null;
+
+  /** Callbacks waiting for interrupted operations to be recovered, or null
+   * once they're recovered.
+   * @type {Function[]}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var recoveryCallbacks = [];
+
+  /** Indicates whether an expiry sweep is running.
+   * @type {Boolean}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var sweeping = false;
+
+  /** Queue of saves waiting to run. Each task is a function that takes the
+   * callback to release its slot once the save has finished. A
+   * <code>save:drain</code> event is emitted when the queued saves have
+   * finished. There's no queue if saves are not limited.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var saveQueue = (function () {
+    var queue;
+
+    if (!options || !options.maxConcurrentSaves) {
+      return null;
+    }
+    queue = async.queue(function (task, release) {
+      task(release);
+    }, options.maxConcurrentSaves);
+
+    queue.drain(function () {
+      emitEvent("save:drain", null, null, null);
+    });
+    return queue;
+  }());
+
+  /** Queues of writes waiting for each device, indexed by device id. There
+   * are no queues if device writes are not limited.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var writeQueues = (function () {
+    var queues = {};
+    var limit = options && options.maxDeviceWrites;
+
+    if (limit) {
+      devices.forEach(function (device) {
+        queues[device.getId()] = async.queue(function (task, release) {
+          task(release);
+        }, limit);
+      });
+    }
+    return queues;
+  }());
+
+  /** Validates the replication policy.
    * @private
    * @methodOf DataStore#
    */
-  var generateId = function (stream, namespace, callback) {
-    var hash = crypto.createHash("sha256");
-    var fileId = new Date().getTime() * Math.random() * 31;
-    var tempFile = path.join(os.tmpDir(), fileId + ".dstemp");
-    var swap = fs.createWriteStream(tempFile);
-    var proxy = new Writable({
-      decodeStrings: false
+  var validateReplication = function () {
+    var deviceIds = devices.map(function (device) {
+      return device.getId();
     });
 
-    proxy._write = function (chunk, encoding, callback) {
-      hash.update(chunk);
+    if (replication.mode === "quorum") {
+      if (!(replication.quorum > 0 && replication.quorum <= devices.length)) {
+        throw new Error("Replication quorum must be between 1 and " +
+          devices.length + ".");
+      }
+    } else if (replication.mode === "devices") {
+      if (!replication.devices || !replication.devices.length) {
+        throw new Error("Replication devices must not be empty.");
+      }
+      replication.devices.forEach(function (deviceId) {
+        if (deviceIds.indexOf(deviceId) === -1) {
+          throw new Error("Replication device not found: " + deviceId);
+        }
+      });
+    } else if (replication.mode !== "all") {
+      throw new Error("Replication mode not supported: " + replication.mode);
+    }
+  };
 
-      return swap.write(chunk, encoding, callback);
-    };
+  /** Retrieves an item from the index. If the item is not found, it tries to
+   * resolve the item using the legacy id format.
+   *
+   * @param {String} id Item unique id. Cannot be null or empty.
+   * @param {String} [namespace] Item namespace. Can be null.
+   * @param {Function} callback Callback that receives the item. It takes an
+   *    error and the item as parameters. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var findItem = function (id, namespace, callback) {
+    index.getItem(ItemId.compose(id, namespace), function (err, item) {
+      var legacyId = ItemId.composeLegacy(id, namespace);
 
-    stream.on('end', function () {
-      var id = composeId(hash.digest('hex'), namespace);
+      if (err && legacyId && namespace) {
+        index.getItem(legacyId, callback);
+      } else {
+        callback(err, item);
+      }
+    });
+  };
 
-      callback(id, tempFile);
+  /** Retrieves the namespaces of an item from the index. Chunks are not
+   * namespaces of any item, even if the item has the same content.
+   *
+   * @param {String} id Id of the main item. Cannot be null or empty.
+   * @param {Function} callback Callback that receives the namespaces. It
+   *    takes an error and the list of items as parameters. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var findNamespaces = function (id, callback) {
+    index.getNamespaces(id, function (err, namespaces) {
+      if (err) {
+        callback(err);
+      } else {
+        callback(null, namespaces.filter(function (item) {
+          return item.getNamespace() !== CHUNK_NAMESPACE;
+        }));
+      }
     });
-    stream.pipe(proxy);
   };
 
-  /** Sends an item to the specified device.
-   * @param {Device} device Device to send the item to. Cannot be null.
-   * @param {DataStoreItem} item Item to send. Cannot be null.
+  /** Waits for a write slot in each device. Slots are taken in the order
+   * devices were given to the data store, so saves waiting for each other's
+   * devices never block each other. Devices are not limited unless the
+   * <code>maxDeviceWrites</code> option is set.
+   *
+   * @param {Device[]} targets Devices to write to. Cannot be null.
+   * @param {Function} callback Callback invoked when there's a slot in all
+   *    devices. It takes a function to release the slot of a device, which
+   *    takes the device as parameter. Cannot be null.
+   * @private
+   * @methodOf DataStore#
    */
-  var sendToDevice = function (device, item, callback) {
-    device.put(item, callback);
+  var acquireWrites = function (targets, callback) {
+    var releases = {};
+
+    async.eachSeries(devices.filter(function (device) {
+      return targets.indexOf(device) > -1 &&
+        writeQueues.hasOwnProperty(device.getId());
+    }), function (device, nextDevice) {
+      writeQueues[device.getId()].push(function (release) {
+        releases[device.getId()] = release;
+        nextDevice();
+      });
+    }, function () {
+      callback(function (device) {
+        var release = releases[device.getId()];
+
+        delete releases[device.getId()];
+
+        if (release) {
+          release();
+        }
+      });
+    });
   };
 
-  return {
+  /** Streams content to all devices under a provisional id while the content
+   * hash is computed. Each device reads from its own branch of the stream, so
+   * the slowest device sets the pace and memory usage is bounded. A device
+   * that fails stops receiving content without affecting the other devices.
+   *
+   * @param {stream.Readable} stream Stream to read. Cannot be null.
+   * @param {DataStoreItem} provisionalItem Item that holds the provisional id
+   *    and the item metadata. Cannot be null.
+   * @param {Device[]} targets Devices to write to. Cannot be null.
+   * @param {Function} release Function to release the write slot of a device
+   *    once it finished writing. It takes the device as parameter. Cannot be
+   *    null.
+   * @param {Function} callback Function invoked when stream is read and all
+   *    devices finished writing. It takes an error, the content hash, the
+   *    list of results and the number of bytes read as parameters. Each
+   *    result has the device, the provisional item and the device error, if
+   *    any.
+   * @private
+   * @methodOf DataStore#
+   */
+  var writeToDevices = function (stream, provisionalItem, targets, release,
+      callback) {
+    var hash = ItemId.createHash(algorithm);
+    var provisionalId = provisionalItem.getId();
+    var splitter = new Writable();
+    var pending = targets.length + 1;
+    var streamError = null;
+    var bytes = 0;
+    var results = targets.map(function (device) {
+      var branch = new PassThrough();
+      var item = new DataStoreItem(provisionalId,
+        provisionalItem.getMetadata(), {}, {
+          namespace: provisionalItem.getNamespace()
+        });
 
-    /** Saves a resource and creates a new item.
-     *
-     * @param {stream.Readable} stream Stream to read item content. Cannot be
-     *    null.
-     * @param {String} namespace Item namespace, if any. Can be null.
-     * @param {Object} metadata Item metadata. Cannot be null.
-     * @param {Function} callback Function to receive the new item. It takes
-     *    and error and the item as parameters. Cannot be null.
-     */
-    save: function (stream, namespace, metadata, callback) {
-      generateId(stream, namespace, function (id, swapFile) {
-        index.createItem(id, metadata, function (err, item) {
-          var sendQueue = [];
-          var hasError = false;
+      item.stream = function () {
+        return branch;
+      };
 
-          if (err) {
-            callback(err);
-            return;
-          }
+      return {
+        device: device,
+        item: item,
+        branch: branch,
+        error: null
+      };
+    });
+    var done = function () {
+      pending -= 1;
 
-          item.stream = function () {
-            return fs.createReadStream(swapFile);
-          };
+      if (pending === 0) {
+        callback(streamError, streamError ? null : hash.digest(),
+          results, bytes);
+      }
+    };
 
-          devices.forEach(function (device) {
-            sendQueue.push(sendToDevice.bind(this, device, item));
-          });
+    splitter._write = function (chunk, encoding, writeCallback) {
+      var waiting = 1;
+      var drained = function () {
+        waiting -= 1;
 
-          async.parallel(sendQueue, function (err, results) {
-            if (!results && err && options && options.errorHandler) {
-              hasError = true;
-              return options.errorHandler(err, id, namespace, "save");
-            }
-            fs.unlinkSync(swapFile);
-            if (hasError) {
-              callback(new Error("Item could not be sent to some devices"),
-                item);
-            } else {
-              callback(null, item);
-            }
-          });
-        })
+        if (waiting === 0) {
+          writeCallback();
+        }
+      };
+
+      hash.update(chunk);
+      bytes += chunk.length;
+
+      emitEvent("save:progress", provisionalId,
+        provisionalItem.getNamespace(), null, {
+          bytes: bytes
+        });
+
+      results.forEach(function (result) {
+        if (!result.error && !result.branch.write(chunk)) {
+          waiting += 1;
+          result.branch.once("drain", drained);
+        }
       });
-    },
+      drained();
+    };
+    splitter.on("finish", function () {
+      results.forEach(function (result) {
+        result.branch.end();
+      });
+      done();
+    });
+    stream.on("error", function (err) {
+      streamError = err;
+      stream.unpipe(splitter);
+      results.forEach(function (result) {
+        result.branch.emit("error", err);
+      });
+      done();
+    });
+
+    results.forEach(function (result) {
+      result.device.put(result.item, function (err) {
+        release(result.device);
 
-    /** Returns a single item from the data store.
-     *
-     * @param {String} id Id of the required item.
-     * @param {String} namespace The required item namespace, if any. Can be
-     *    null.
-     * @param {Function} callback Function that receives the required item. It
-     *    takes an error and the required item as parameters. Cannot be null.
-     */
-    get: function (id, namespace, callback) {
-      index.getItem(composeId(id, namespace), function (err, item) {
         if (err) {
-          callback(err);
-          return;
+          result.error = err;
+          // Discards pending content so the splitter is never blocked.
+          result.branch.resume();
         }
-        async.detect(devices, function (device, deviceCallback) {
-          device.ping(function (available) {
-            if (available) {
-              device.exists(item, deviceCallback);
-            } else {
-              deviceCallback(false);
-            }
-          });
-        }, function (availableDevice) {
-          if (!availableDevice) {
-            callback(new Error(
-              "There's no available device to retrieve the item."))
-          } else {
-            availableDevice.get(item, callback);
-          }
-        });
+        done();
+      });
+    });
+
+    stream.pipe(splitter);
+  };
+
+  /** Opens an item in the first available device that contains the item.
+   * Devices are tried in the specified order.
+   *
+   * @param {DataStoreItem} item Item to open. Cannot be null.
+   * @param {Device[]} candidates Devices to try, sorted by preference. Cannot
+   *    be null.
+   * @param {Object} range Byte range to read, or null to read the whole
+   *    content.
+   * @param {Function} callback Callback invoked when the item is opened. It
+   *    takes an error, a function to open a stream from the device that
+   *    provided the item, the list of devices that were not tried yet, the
+   *    device that provided the item and the range resolved by the device, if
+   *    any. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var openItem = function (item, candidates, range, callback) {
+    var remaining = candidates.slice();
+    var namespace = ItemId.parse(item.getId()).namespace;
+    var tryNext = function () {
+      var device = remaining.shift();
+      var start = Date.now();
+
+      if (!device) {
+        callback(new Error("There's no available device to retrieve the " +
+          "item."));
+        return;
+      }
+      pingDevice(device, item, function (available) {
+        if (!available) {
+          tryNext();
+          return;
+        }
+        if (readStrategy.measure) {
+          readStrategy.measure(device, Date.now() - start);
+        }
+        device.exists(item, function (err, itemExists) {
+          var itemStream = item.stream;
+          var itemRange = item.range;
+          var opened = function (err) {
+            var openStream = item.stream;
+            var openRange = item.range;
+
+            // Devices replace the item stream and range, they're restored
+            // because the item may be already reading from another device.
+            item.stream = itemStream;
+            item.range = itemRange;
+
+            if (err) {
+              notifyError(err, item.getId(), namespace, "get", device);
+              tryNext();
+            } else {
+              callback(null, openStream, remaining, device,
+                range ? openRange || null : null);
+            }
+          };
+
+          if (!itemExists) {
+            tryNext();
+            return;
+          }
+          if (range) {
+            item.range = null;
+            device.get(item, {
+              range: range
+            }, opened);
+          } else {
+            device.get(item, opened);
+          }
+        });
+      });
+    };
+
+    tryNext();
+  };
+
+  /** Creates a stream to read an item that falls back to the next device if
+   * the current device fails while reading. The next device is asked for the
+   * range that was not read yet, so readers receive a continuous stream.
+   * Devices that provide more content than requested are skipped up to the
+   * expected offset.
+   *
+   * @param {DataStoreItem} item Item to read. Cannot be null.
+   * @param {Function} openStream Function to open a stream from the first
+   *    device. Cannot be null.
+   * @param {Device} source Device that provides the first stream. Cannot be
+   *    null.
+   * @param {Device[]} candidates Devices to fall back to, sorted by
+   *    preference. Cannot be null.
+   * @param {Object} range Range provided by the first device, or null if it
+   *    provides the whole content.
+   * @return {stream.Readable} Returns the item stream. Never returns null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var createFallbackStream = function (item, openStream, source,
+      candidates, range) {
+    var output = new PassThrough();
+    var namespace = ItemId.parse(item.getId()).namespace;
+    var remaining = candidates;
+    var offset = range ? range.start : 0;
+    var delivered = 0;
+    var readFrom = function (open, device, openRange) {
+      var skip = offset + delivered - (openRange ? openRange.start : 0);
+      var failed = false;
+      var input = open();
+
+      input.on("data", function (chunk) {
+        var data = chunk;
+
+        if (failed) {
+          return;
+        }
+        if (skip > 0) {
+          if (data.length <= skip) {
+            skip -= data.length;
+            return;
+          }
+          data = data.slice(skip);
+          skip = 0;
+        }
+        delivered += data.length;
+
+        if (!output.write(data)) {
+          input.pause();
+          output.once("drain", function () {
+            input.resume();
+          });
+        }
+      });
+      input.on("end", function () {
+        if (!failed) {
+          output.end();
+        }
+      });
+      input.on("error", function (err) {
+        if (failed) {
+          return;
+        }
+        failed = true;
+        notifyError(err, item.getId(), namespace, "get", device);
+
+        openItem(item, remaining, delivered || range ? {
+          start: offset + delivered,
+          end: range ? range.end : null
+        } : null, function (err, nextStream, nextRemaining, nextDevice,
+            nextRange) {
+          if (err) {
+            output.emit("error", err);
+          } else {
+            remaining = nextRemaining;
+            readFrom(nextStream, nextDevice, nextRange);
+          }
+        });
+      });
+    };
+
+    readFrom(openStream, source, range);
+
+    return output;
+  };
+
+  /** Returns the devices that must receive a new item according to the
+   * replication policy. Any other device that supports the item receives it
+   * in background.
+   * @param {Device[]} supported Devices that support the item. Cannot be null.
+   * @return {Device[]} Returns the list of devices. Never returns null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var selectTargets = function (supported) {
+    if (replication.mode === "devices") {
+      return supported.filter(function (device) {
+        return replication.devices.indexOf(device.getId()) > -1;
+      });
+    }
+    return supported.slice();
+  };
+
+  /** Returns the number of devices that must receive a new item in order to
+   * consider the item saved. Devices that don't support the item are not
+   * required.
+   * @param {Device[]} targets Devices the item is written to. Cannot be null.
+   * @param {Device[]} supported Devices that support the item. Cannot be null.
+   * @return {Number} Returns the number of required devices.
+   * @private
+   * @methodOf DataStore#
+   */
+  var requiredWrites = function (targets, supported) {
+    if (replication.mode === "quorum") {
+      return Math.min(replication.quorum, supported.length);
+    }
+    return targets.length;
+  };
+
+  /** Background queue to replicate items into devices that didn't receive
+   * them during save.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var syncQueue = async.queue(function (id, callback) {
+    index.getItem(id, function (err, item) {
+      if (err) {
+        notifyError(err, id, ItemId.parse(id).namespace, "sync");
+        callback();
+        return;
+      }
+      syncItem(item, function () {
+        index.flush(function () {
+          callback();
+        });
+      });
+    });
+  }, 1);
+
+  /** Queues an item for background synchronization. An item already queued is
+   * not queued again.
+   * @param {String} id Id of the item to synchronize. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var scheduleSync = function (id) {
+    if (queuedItems.hasOwnProperty(id)) {
+      return;
+    }
+    queuedItems[id] = true;
+
+    syncQueue.push(id, function () {
+      delete queuedItems[id];
+
+      if (Object.keys(queuedItems).length === 0) {
+        idleCallbacks.splice(0).forEach(function (idleCallback) {
+          idleCallback();
+        });
+      }
+    });
+  };
+
+  /** Builds the summary of a save operation with the item status in each
+   * device.
+   *
+   * @param {DataStoreItem} item Saved item. Cannot be null.
+   * @param {Number} required Number of devices required by the replication
+   *    policy. Cannot be null.
+   * @param {Boolean} duplicate Indicates whether the item already existed.
+   * @return {Object} Returns the summary. Never returns null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var createSaveReport = function (item, required, duplicate) {
+    var report = {
+      devices: {},
+      written: 0,
+      required: required,
+      duplicate: duplicate
+    };
+
+    devices.forEach(function (device) {
+      var status = item.status(device);
+
+      if (status) {
+        report.devices[device.getId()] = {
+          code: status.code,
+          message: status.message
+        };
+      }
+      if (status && status.code === 200) {
+        report.written += 1;
+      }
+    });
+
+    return report;
+  };
+
+  /** Removes provisional items from the devices that received them.
+   *
+   * @param {Object[]} results Results of writing to devices. Cannot be null.
+   * @param {Function} callback Callback invoked when all provisional items
+   *    are removed. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var discardProvisional = function (results, callback) {
+    async.each(results, function (result, resultCallback) {
+      result.device.delete(result.item, function () {
+        resultCallback();
+      });
+    }, function () {
+      callback();
+    });
+  };
+
+  /** Records the intent of an operation in the journal, if any.
+   *
+   * @param {Object} operation Operation to record. Cannot be null.
+   * @param {Function} callback Callback that receives the id of the journal
+   *    entry. It takes an error and the entry id as parameters. The entry id
+   *    is null if there's no journal. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var beginOperation = function (operation, callback) {
+    if (journal) {
+      journal.begin(operation, callback);
+    } else {
+      callback(null, null);
+    }
+  };
+
+  /** Records the progress of an operation in the journal, if any.
+   *
+   * @param {String} entryId Id of the journal entry. Can be null.
+   * @param {Object} data Data to add to the operation. Cannot be null.
+   * @param {Function} callback Callback invoked when the data is recorded.
+   *    It takes an error as parameter. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var updateOperation = function (entryId, data, callback) {
+    if (entryId) {
+      journal.update(entryId, data, callback);
+    } else {
+      callback(null);
+    }
+  };
+
+  /** Flags an operation as finished in the journal, if any. The index is
+   * flushed first, so the status of the item in each device is durable once
+   * the operation is finished. Errors are notified, the operation is
+   * recovered again on startup in that case.
+   *
+   * @param {String} entryId Id of the journal entry. Can be null.
+   * @param {Function} callback Callback invoked when the operation is
+   *    flagged. It takes no parameters. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var endOperation = function (entryId, callback) {
+    if (!entryId) {
+      callback();
+      return;
+    }
+    index.flush(function (err) {
+      if (err) {
+        notifyError(err, null, null, "journal");
+        callback();
+        return;
+      }
+      journal.end(entryId, function (err) {
+        if (err) {
+          notifyError(err, null, null, "journal");
+        }
+        callback();
+      });
+    });
+  };
+
+  /** Emits a data store event. Listeners receive an object with the item
+   * id, the namespace and the device id, if any, plus the event specific
+   * data.
+   *
+   * @param {String} event Event name. Cannot be null or empty.
+   * @param {String} id Id of the related item. Can be null.
+   * @param {String} namespace Item namespace. Can be null.
+   * @param {Device} device Related device. Can be null.
+   * @param {Object} [data] Event specific data. Can be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var emitEvent = function (event, id, namespace, device, data) {
+    dataStore.emit(event, extend({
+      id: id || null,
+      namespace: namespace || null,
+      device: device ? device.getId() : null
+    }, data));
+  };
+
+  /** Notifies an error to the configured error handler, if any. Errors
+   * related to a device are also emitted as <code>device:error</code>
+   * events.
+   *
+   * @param {Error} err Error to notify. Cannot be null.
+   * @param {String} id Id of the item that caused the error. Can be null.
+   * @param {String} namespace Item namespace, if any. Can be null.
+   * @param {String} type Operation that caused the error. Cannot be null.
+   * @param {Device} [device] Device that caused the error. Can be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var notifyError = function (err, id, namespace, type, device) {
+    if (options && options.errorHandler) {
+      options.errorHandler(err, id, namespace, type);
+    }
+    if (device) {
+      emitEvent("device:error", id, namespace, device, {
+        error: err,
+        type: type
+      });
+    }
+  };
+
+  /** Checks whether a device is available. If it's not, a
+   * <code>device:unavailable</code> event is emitted.
+   *
+   * @param {Device} device Device to check. Cannot be null.
+   * @param {DataStoreItem} item Item that requires the device. Can be null.
+   * @param {Function} callback Callback that takes a boolean indicating
+   *    whether the device is available. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var pingDevice = function (device, item, callback) {
+    device.ping(function (err, result) {
+      var available = !err && result;
+
+      if (!available) {
+        emitEvent("device:unavailable", item && item.getId(),
+          item && item.getNamespace(), device);
+      }
+      callback(available);
+    });
+  };
+
+  /** Physically removes an item from the specified device. If the device is
+   * not available the item is flagged with error for that device.
+   *
+   * @param {Device} device Device to remove the item from. Cannot be null.
+   * @param {DataStoreItem} item Item to remove. Cannot be null.
+   * @param {Function} callback Callback invoked when the item is removed. It
+   *    takes an error as parameter. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var deleteFromDevice = function (device, item, callback) {
+    pingDevice(device, item, function (available) {
+      if (available) {
+        device.delete(item, function (err) {
+          callback(err || null);
+        });
+      } else {
+        item.status(device, 503, "Device not available.");
+        callback(new Error("Device " + device.getId() + " not available."));
+      }
+    });
+  };
+
+  /** Determines whether the item status in the specified device is up to date
+   * with the item state in the index.
+   *
+   * @param {Device} device Device to check. Cannot be null.
+   * @param {DataStoreItem} item Item to check. Cannot be null.
+   * @return {Boolean} Returns true if the device doesn't need to be
+   *    synchronized, false otherwise.
+   * @private
+   * @methodOf DataStore#
+   */
+  var isSynchronized = function (device, item) {
+    var status = item.status(device);
+    var expectedCode = item.isDeleted() ? 410 : 200;
+
+    return status !== undefined && status.code === expectedCode;
+  };
+
+  /** Determines whether a device supports the specified item.
+   * @param {Device} device Device to check. Cannot be null.
+   * @param {DataStoreItem} item Item to check. Cannot be null.
+   * @return {Boolean} Returns true if the item is supported, false otherwise.
+   * @private
+   * @methodOf DataStore#
+   */
+  var supportsItem = function (device, item) {
+    return typeof device.supports !== "function" || device.supports(item);
+  };
+
+  /** Returns the devices that support the specified item. Devices that don't
+   * support the item are flagged in the item status.
+   * @param {DataStoreItem} item Item to check. Cannot be null.
+   * @return {Device[]} Returns the supported devices. Never returns null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var filterSupported = function (item) {
+    return devices.filter(function (device) {
+      var supported = supportsItem(device, item);
+
+      if (!supported) {
+        item.status(device, 415, "Item not supported by the device.");
+      }
+      return supported;
+    });
+  };
+
+  /** Looks for an available device that contains the item.
+   *
+   * @param {DataStoreItem} item Item to look for. Cannot be null.
+   * @param {Function} callback Callback that receives the device. It takes
+   *    the device as parameter, or undefined if there's no device with the
+   *    item. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var findSourceDevice = function (item, callback) {
+    async.detect(devices.filter(function (device) {
+      return isSynchronized(device, item);
+    }), function (device, deviceCallback) {
+      pingDevice(device, item, function (available) {
+        if (available) {
+          device.exists(item, function (err, exists) {
+            deviceCallback(null, !err && exists);
+          });
+        } else {
+          deviceCallback(null, false);
+        }
+      });
+    }, function (err, device) {
+      callback(device);
+    });
+  };
+
+  /** Reads the storage statistics of a device. Statistics are kept for the
+   * configured interval, so devices are not scanned on each write.
+   *
+   * @param {Device} device Device to read. Cannot be null.
+   * @param {Boolean} refresh Indicates whether to ignore the statistics
+   *    already read. Cannot be null.
+   * @param {Function} callback Callback that receives the statistics. It
+   *    takes an error and the statistics as parameters. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var statDevice = function (device, refresh, callback) {
+    var cached = deviceStats[device.getId()];
+
+    if (!refresh && cached && Date.now() - cached.time < statInterval) {
+      callback(null, cached.stats);
+      return;
+    }
+    if (typeof device.stat !== "function") {
+      callback(null, {
+        capacity: null,
+        used: null,
+        free: null,
+        items: null
+      });
+      return;
+    }
+    device.stat(function (err, stats) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      deviceStats[device.getId()] = {
+        stats: extend({}, stats),
+        time: Date.now()
+      };
+      callback(null, deviceStats[device.getId()].stats);
+    });
+  };
+
+  /** Updates the statistics of a device after an item is written, so they
+   * remain accurate until they're read again.
+   *
+   * @param {Device} device Device that received the item. Cannot be null.
+   * @param {Number} bytes Size of the item. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var recordUsage = function (device, bytes) {
+    var cached = deviceStats[device.getId()];
+
+    if (!cached) {
+      return;
+    }
+    if (cached.stats.used !== null) {
+      cached.stats.used += bytes;
+    }
+    if (cached.stats.free !== null) {
+      cached.stats.free -= bytes;
+    }
+    if (cached.stats.items !== null) {
+      cached.stats.items += 1;
+    }
+  };
+
+  /** Determines whether a device has room for an item, according to the
+   * free space it reports and its quota, if any. Unknown values are not
+   * taken into account.
+   *
+   * @param {Device} device Device to check. Cannot be null.
+   * @param {Object} stats Device statistics. Cannot be null.
+   * @param {Number} size Item size in bytes, or 0 if it's not known yet.
+   * @return {Boolean} Returns true if the item fits, false otherwise.
+   * @private
+   * @methodOf DataStore#
+   */
+  var hasRoom = function (device, stats, size) {
+    var quota = quotas[device.getId()];
+    var needed = Math.max(size, 1);
+
+    if (quota !== undefined && stats.used !== null &&
+        stats.used + needed > quota) {
+      return false;
+    }
+    return stats.free === null || stats.free >= needed;
+  };
+
+  /** Looks for the devices that don't have room for an item. Devices that
+   * fail to report statistics are expected to have room.
+   *
+   * @param {Device[]} targets Devices to check. Cannot be null.
+   * @param {Number} size Item size in bytes, or 0 if it's not known yet.
+   * @param {Function} callback Callback that receives the full devices. It
+   *    takes the list of devices as parameter. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var findFullDevices = function (targets, size, callback) {
+    async.filter(targets, function (device, deviceCallback) {
+      statDevice(device, false, function (err, stats) {
+        if (err) {
+          notifyError(err, null, null, "stat", device);
+        }
+        deviceCallback(null, !err && !hasRoom(device, stats, size));
+      });
+    }, function (err, full) {
+      callback(full);
+    });
+  };
+
+  /** Replicates an item into the specified device. If the device is not
+   * available or it has no room for the item, the item is flagged with error
+   * for that device.
+   *
+   * @param {Device} device Device to send the item to. Cannot be null.
+   * @param {DataStoreItem} item Item to send. It must be readable. Cannot be
+   *    null.
+   * @param {Function} callback Callback invoked when the item is replicated.
+   *    It takes an error as parameter. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var replicateToDevice = function (device, item, callback) {
+    var size = item.getManifest() ? 0 :
+      item.getSize() || (item.getMetadata() || {}).size || 0;
+
+    pingDevice(device, item, function (available) {
+      if (available) {
+        findFullDevices([device], size, function (full) {
+          if (full.length) {
+            item.status(device, 507, "Insufficient storage.");
+            callback(new Error("Device " + device.getId() + " has no room " +
+              "for the item."));
+            return;
+          }
+          acquireWrites([device], function (release) {
+            device.put(item, function (err) {
+              release(device);
+
+              if (!err) {
+                recordUsage(device, size);
+              }
+              callback(err || null);
+            });
+          });
+        });
+      } else {
+        item.status(device, 503, "Device not available.");
+        callback(new Error("Device " + device.getId() + " not available."));
+      }
+    });
+  };
+
+  /** Synchronizes a single item into all devices that failed. Deleted items
+   * are removed from devices, otherwise the item is copied from a device that
+   * contains it. Errors are reported but they don't stop the process.
+   *
+   * @param {DataStoreItem} item Item to synchronize. Cannot be null.
+   * @param {Function} callback Callback invoked when the item is synchronized.
+   *    It takes the number of devices that failed as parameter. Cannot be
+   *    null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var syncItem = function (item, callback) {
+    var namespace = ItemId.parse(item.getId()).namespace;
+    var targets = filterSupported(item).filter(function (device) {
+      return !isSynchronized(device, item);
+    });
+    var entryId = null;
+    var done = function (failed) {
+      endOperation(entryId, function () {
+        emitEvent("item:synced", item.getId(), namespace, null, {
+          failed: failed
+        });
+        callback(failed);
+      });
+    };
+    var replicate = function () {
+      findSourceDevice(item, function (source) {
+        if (!source) {
+          notifyError(new Error("There's no available device to retrieve " +
+            "the item."), item.getId(), namespace, "sync");
+          done(targets.length);
+          return;
+        }
+        source.get(item, function (err) {
+          if (err) {
+            notifyError(err, item.getId(), namespace, "sync", source);
+            done(targets.length);
+          } else {
+            syncDevices(replicateToDevice);
+          }
+        });
+      });
+    };
+    var syncDevices = function (action) {
+      async.map(targets, function (device, deviceCallback) {
+        action(device, item, function (err) {
+          if (err) {
+            notifyError(err, item.getId(), namespace, "sync", device);
+          }
+          deviceCallback(null, err);
+        });
+      }, function (err, errors) {
+        done(errors.filter(function (deviceError) {
+          return deviceError !== null;
+        }).length);
+      });
+    };
+
+    if (targets.length === 0) {
+      callback(0);
+      return;
+    }
+    beginOperation({
+      type: "sync",
+      item: item.getId()
+    }, function (err, id) {
+      if (err) {
+        notifyError(err, item.getId(), namespace, "journal");
+        done(targets.length);
+        return;
+      }
+      entryId = id;
+
+      if (item.isDeleted()) {
+        syncDevices(deleteFromDevice);
+      } else {
+        replicate();
+      }
+    });
+  };
+
+  /** Physically removes an item from all devices and flags it as deleted in
+   * the index. Device failures are flagged in the item status.
+   *
+   * @param {DataStoreItem} item Item to delete. Cannot be null.
+   * @param {Function} callback Callback invoked when the item is deleted. It
+   *    takes an error as parameter. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var deleteItem = function (item, callback) {
+    beginOperation({
+      type: "delete",
+      item: item.getId()
+    }, function (err, entryId) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      async.map(devices, function (device, deviceCallback) {
+        deleteFromDevice(device, item, function (err) {
+          if (err) {
+            notifyError(err, item.getId(), item.getNamespace(), "delete",
+              device);
+          }
+          // Failures are flagged in the item status, so they don't stop
+          // the remaining devices.
+          deviceCallback(null, err);
+        });
+      }, function (err, errors) {
+        var hasError = errors.some(function (deviceError) {
+          return deviceError !== null;
+        });
+
+        index.deleteItem(item.getId(), function (err) {
+          if (err) {
+            callback(err);
+            return;
+          }
+          endOperation(entryId, function () {
+            emitEvent("item:deleted", item.getId(), item.getNamespace(),
+              null);
+
+            if (hasError) {
+              callback(new Error("Item could not be deleted from some " +
+                "devices"));
+            } else {
+              callback(null);
+            }
+          });
+        });
+      });
+    });
+  };
+
+  /** Deletes a list of items one by one to avoid concurrent writes to the
+   * index. Failures don't stop the remaining items.
+   *
+   * @param {DataStoreItem[]} items Items to delete. Cannot be null.
+   * @param {Function} callback Callback invoked when all items are processed.
+   *    It takes an error as parameter. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var deleteItems = function (items, callback) {
+    async.mapSeries(items, function (item, itemCallback) {
+      deleteItem(item, function (err) {
+        itemCallback(null, err || null);
+      });
+    }, function (err, errors) {
+      var failed = errors.filter(function (itemError) {
+        return itemError !== null;
+      });
+
+      if (failed.length) {
+        callback(new Error("Some items could not be deleted: " +
+          failed.map(function (itemError) {
+            return itemError.message;
+          }).join(", ")));
+      } else {
+        callback(null);
+      }
+    });
+  };
+
+  /** Deletes an item once its last reference is released. Namespaces of a
+   * main item are deleted as well, unless they have their own references.
+   *
+   * @param {DataStoreItem} item Released item. Cannot be null.
+   * @param {Function} callback Callback invoked when the item is deleted. It
+   *    takes an error as parameter. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var releaseItem = function (item, callback) {
+    if (item.getNamespace()) {
+      deleteItem(item, callback);
+      return;
+    }
+    findNamespaces(item.getId(), function (err, namespaces) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      deleteItems(namespaces.filter(function (namespace) {
+        return !namespace.isDeleted() && namespace.getRefs().length === 0;
+      }).concat(item), callback);
+    });
+  };
+
+  /** Deletes expired items from all devices. Items are read again before
+   * they're deleted, since namespaces may be deleted along with their main
+   * item.
+   *
+   * @param {Boolean} dryRun Indicates whether to report expired items
+   *    without deleting them.
+   * @param {Function} callback Callback that receives the sweep report. It
+   *    takes an error and the report as parameters. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var sweepExpired = function (dryRun, callback) {
+    var report = {
+      deleted: [],
+      referenced: [],
+      errors: []
+    };
+
+    index.list(function (err, items) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      sweeping = true;
+
+      async.eachSeries(items.filter(function (item) {
+        return item.getNamespace() !== CHUNK_NAMESPACE && !item.isDeleted() &&
+          item.isExpired();
+      }), function (candidate, itemCallback) {
+        index.getItem(candidate.getId(), function (err, item) {
+          if (err || item.isDeleted() || !item.isExpired()) {
+            itemCallback();
+          } else if (item.getRefs().length > 0) {
+            report.referenced.push(item.getId());
+            itemCallback();
+          } else if (dryRun) {
+            report.deleted.push(item.getId());
+            itemCallback();
+          } else {
+            releaseItem(item, function (err) {
+              if (err) {
+                report.errors.push({
+                  id: item.getId(),
+                  message: err.message
+                });
+              } else {
+                report.deleted.push(item.getId());
+              }
+              itemCallback();
+            });
+          }
+        });
+      }, function () {
+        sweeping = false;
+        callback(null, report);
+      });
+    });
+  };
+
+  /** Timer that runs the expiry sweep in background, or null if there's no
+   * sweep in background.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStore#
+   */
+  var expiryTimer = null;
+
+  /** Starts the expiry sweep in background, if the expiry interval is set.
+   * @private
+   * @methodOf DataStore#
+   */
+  var startExpiryTimer = function () {
+    if (!expiryInterval) {
+      return;
+    }
+    expiryTimer = setInterval(function () {
+      if (!sweeping) {
+        sweepExpired(false, function (err) {
+          if (err) {
+            notifyError(err, null, null, "delete");
+          }
+        });
+      }
+    }, expiryInterval);
+
+    // The sweep doesn't keep the process running.
+    expiryTimer.unref();
+  };
+
+  /** Reads the replica of an item stored in the specified device and
+   * computes the content hash. Reading is throttled to keep the configured
+   * rate.
+   *
+   * @param {Device} device Device to read from. Cannot be null.
+   * @param {DataStoreItem} item Item to verify. Cannot be null.
+   * @param {String} algorithm Hash algorithm of the item. Cannot be null.
+   * @param {Object} throttle Rate limit shared by the whole scrub run. It has
+   *    the <code>rate</code> in bytes per second, the <code>start</code>
+   *    time and the number of <code>bytes</code> read so far. Cannot be null.
+   * @param {Function} callback Callback that receives the content hash. It
+   *    takes an error and the self-describing hash as parameters. Cannot be
+   *    null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var hashReplica = function (device, item, algorithm, throttle, callback) {
+    var itemStream = item.stream;
+
+    device.get(item, {
+      local: true
+    }, function (err) {
+      var hash = ItemId.createHash(algorithm);
+      var input;
+
+      if (err) {
+        item.stream = itemStream;
+        callback(err);
+        return;
+      }
+      input = item.stream();
+      item.stream = itemStream;
+
+      input.on("data", function (chunk) {
+        var wait;
+
+        hash.update(chunk);
+        throttle.bytes += chunk.length;
+
+        if (throttle.rate) {
+          wait = throttle.bytes / throttle.rate * 1000 -
+            (Date.now() - throttle.start);
+
+          if (wait > 0) {
+            input.pause();
+            setTimeout(function () {
+              input.resume();
+            }, wait);
+          }
+        }
+      });
+      input.on("end", function () {
+        callback(null, hash.digest());
+      });
+      input.on("error", callback);
+    });
+  };
+
+  /** Verifies all replicas of an item. Replicas that don't match the item
+   * hash are flagged as corrupted in the item status and, if repair is
+   * enabled, they're replaced by a healthy replica along with replicas
+   * flagged by previous runs.
+   *
+   * @param {DataStoreItem} item Item to verify. Cannot be null.
+   * @param {Object} throttle Rate limit for the scrub run. Cannot be null.
+   * @param {Boolean} repair Indicates whether to repair corrupted replicas.
+   * @param {Object} report Scrub report to update. Cannot be null.
+   * @param {Function} callback Callback invoked when the item is verified.
+   *    It takes no parameters. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var scrubItem = function (item, throttle, repair, report, callback) {
+    // Devices store the manifest of chunked items, chunks are verified on
+    // their own.
+    var expected = ItemId.parse(item.getManifest() || item.getHash());
+    var namespace = item.getNamespace();
+    var supported = filterSupported(item);
+    var hasStatus = function (code) {
+      return function (device) {
+        var status = item.status(device);
+
+        return status !== undefined && status.code === code;
+      };
+    };
+    // Replicas flagged by previous runs are repaired as well.
+    var corrupted = supported.filter(hasStatus(409));
+
+    if (!expected.algorithm) {
+      report.skipped.push(item.getId());
+      callback();
+      return;
+    }
+
+    async.eachSeries(supported.filter(hasStatus(200)), function (device,
+        deviceCallback) {
+      pingDevice(device, item, function (available) {
+        if (!available) {
+          deviceCallback();
+          return;
+        }
+        hashReplica(device, item, expected.algorithm, throttle,
+          function (err, hash) {
+            if (err) {
+              notifyError(err, item.getId(), namespace, "scrub", device);
+              report.errors.push({
+                id: item.getId(),
+                device: device.getId(),
+                message: err.message
+              });
+            } else if (ItemId.parse(hash).digest !== expected.digest) {
+              item.status(device, 409, "Content doesn't match the item " +
+                "hash.");
+              emitEvent("item:corrupted", item.getId(), namespace, device);
+              corrupted.push(device);
+              report.corrupted.push({
+                id: item.getId(),
+                device: device.getId()
+              });
+            } else {
+              report.verified += 1;
+            }
+            deviceCallback();
+          });
+      });
+    }, function () {
+      if (!repair || corrupted.length === 0) {
+        callback();
+        return;
+      }
+      // Corrupted replicas are not synchronized, so they're replaced by a
+      // healthy replica.
+      syncItem(item, function () {
+        corrupted.forEach(function (device) {
+          if (isSynchronized(device, item)) {
+            report.repaired.push({
+              id: item.getId(),
+              device: device.getId()
+            });
+          }
+        });
+        callback();
+      });
+    });
+  };
+
+  /** Looks for orphan items in the specified device. Orphan items are items
+   * physically stored in the device that are not referenced by the index.
+   *
+   * @param {Device} device Device to search orphan items in. Cannot be null.
+   * @param {Object} liveItems Set of referenced item ids. Cannot be null.
+   * @param {Function} callback Callback that receives the orphan items. It
+   *    takes an error and the list of orphan item ids as parameters. Cannot be
+   *    null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var findOrphans = function (device, liveItems, callback) {
+    pingDevice(device, null, function (available) {
+      if (!available) {
+        callback(new Error("Device " + device.getId() + " not available."));
+        return;
+      }
+      device.list(function (err, ids) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, ids.filter(function (id) {
+            return !liveItems.hasOwnProperty(id);
+          }));
+        }
+      });
+    });
+  };
+
+  /** Attaches metadata to an existing item. Attributes that changed are
+   * merged into the item metadata as a new version.
+   *
+   * @param {DataStoreItem} item Existing item. Cannot be null.
+   * @param {Object} metadata New metadata. Can be null.
+   * @param {Function} callback Callback that receives the item. It takes an
+   *    error and the updated item as parameters. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var mergeMetadata = function (item, metadata, callback) {
+    var current = item.getMetadata() || {};
+    var patch = {};
+
+    Object.keys(metadata || {}).forEach(function (key) {
+      if (JSON.stringify(current[key]) !== JSON.stringify(metadata[key])) {
+        patch[key] = metadata[key];
+      }
+    });
+
+    if (Object.keys(patch).length === 0) {
+      callback(null, item);
+    } else {
+      index.updateMetadata(item.getId(), patch, callback);
+    }
+  };
+
+  /** Sets the expiration time of a saved item. If the item already existed,
+   * it's only extended: it takes the new time if it's later than the current
+   * one, and items that never expire keep not expiring.
+   *
+   * @param {DataStoreItem} item Saved item. Cannot be null.
+   * @param {Number} expiresAt New expiration time, or null if the item must
+   *    not expire.
+   * @param {Boolean} duplicate Indicates whether the item already existed.
+   * @param {Function} callback Callback that receives the updated item. It
+   *    takes an error and the item as parameters. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var updateExpiration = function (item, expiresAt, duplicate, callback) {
+    var current = item.getExpiresAt();
+    var update = duplicate ?
+      current !== null && (expiresAt === null || expiresAt > current) :
+      expiresAt !== null;
+
+    if (update) {
+      index.setExpiration(item.getId(), expiresAt, callback);
+    } else {
+      callback(null, item);
+    }
+  };
+
+  /** Registers a saved item in the index. If the item already exists, the
+   * metadata is merged into the existing item. Namespaces saved under a
+   * parent item are identified by the parent item, so saving different
+   * content under an existing namespace is a conflict.
+   *
+   * @param {String} id Item id. Cannot be null or empty.
+   * @param {Object} metadata Item metadata. Can be null.
+   * @param {Object} attributes Attributes of a new item, as they're taken by
+   *    <code>Index.createItem()</code>. Cannot be null.
+   * @param {Function} callback Callback that receives the item. It takes an
+   *    error, the item and a boolean indicating whether the item already
+   *    existed as parameters. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var registerItem = function (id, metadata, attributes, callback) {
+    index.getItem(id, function (err, existing) {
+      if (!err && !existing.isDeleted() && attributes.hash &&
+          existing.getHash() !== attributes.hash) {
+        callback(new Error("Item " + id + " already exists with different " +
+          "content."), null, true);
+        return;
+      }
+      if (!err && !existing.isDeleted()) {
+        mergeMetadata(existing, metadata, function (err, item) {
+          callback(err, item, true);
+        });
+        return;
+      }
+      index.createItem(id, metadata, attributes, function (err, item) {
+        callback(err, item, false);
+      });
+    });
+  };
+
+  /** Looks for an existing item with the specified content that is stored in
+   * all supported devices.
+   *
+   * @param {String} digest Self-describing content hash. Cannot be null.
+   * @param {String} namespace Item namespace, if any. Can be null.
+   * @param {String} parentHash Hash of the item the namespace belongs to.
+   *    Can be null.
+   * @param {Function} callback Callback that receives the existing item, or
+   *    null if there's no healthy item with that content. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var findDuplicate = function (digest, namespace, parentHash, callback) {
+    findItem(parentHash || digest, namespace, function (err, item) {
+      var healthy = !err && !item.isDeleted() &&
+        ItemId.parse(item.getHash()).digest === ItemId.parse(digest).digest &&
+        filterSupported(item).every(function (device) {
+          return isSynchronized(device, item);
+        });
+
+      callback(healthy ? item : null);
+    });
+  };
+
+  /** Checks saved content against the expected size and digest, and runs
+   * the registered validators.
+   *
+   * @param {Object} content Content to check. It has the
+   *    <code>namespace</code>, the <code>metadata</code>, the
+   *    <code>size</code> in bytes and the self-describing
+   *    <code>digest</code>. Cannot be null.
+   * @param {Object} saveOptions Options of the save, as they're taken by
+   *    <code>save()</code>. Cannot be null.
+   * @param {Function} callback Callback invoked when the content is
+   *    checked. It takes an error as parameter, which is set if the content
+   *    is rejected. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var checkContent = function (content, saveOptions, callback) {
+    var expected = saveOptions.digest && ItemId.parse(saveOptions.digest);
+
+    if (saveOptions.size !== undefined && saveOptions.size !== null &&
+        content.size !== null && content.size !== Number(saveOptions.size)) {
+      callback(new Error("Expected " + saveOptions.size + " bytes but " +
+        content.size + " bytes were read."));
+      return;
+    }
+    if (expected && ItemId.parse(content.digest).digest !== expected.digest) {
+      callback(new Error("Content doesn't match the expected digest " +
+        saveOptions.digest + "."));
+      return;
+    }
+    async.eachSeries(validators, function (validator, validatorCallback) {
+      validator(content, function (err) {
+        validatorCallback(err || null);
+      });
+    }, function (err) {
+      callback(err || null);
+    });
+  };
+
+  /** Creates a stream that validates content while it's saved. It fails as
+   * soon as the content exceeds the maximum item size, and it fails at the
+   * end if the content is rejected by <code>checkContent()</code>, so the
+   * save is discarded before the item is registered.
+   *
+   * @param {stream.Readable} stream Stream to read item content. Cannot be
+   *    null.
+   * @param {String} namespace Item namespace, if any. Can be null.
+   * @param {Object} metadata Item metadata. Cannot be null.
+   * @param {Object} saveOptions Options of the save, as they're taken by
+   *    <code>save()</code>. Cannot be null.
+   * @return {stream.Readable} Returns the stream that provides the validated
+   *    content. Never returns null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var createValidator = function (stream, namespace, metadata, saveOptions) {
+    var expected = saveOptions.digest && ItemId.parse(saveOptions.digest);
+    var hash = ItemId.createHash(expected ? expected.algorithm : algorithm);
+    var validator = new Transform();
+    var size = 0;
+
+    validator._transform = function (chunk, encoding, callback) {
+      size += chunk.length;
+
+      if (maxItemSize !== null && size > maxItemSize) {
+        // The rest of the content is not read.
+        stream.unpipe(validator);
+
+        if (typeof stream.destroy === "function") {
+          stream.destroy();
+        }
+        callback(new Error("Item exceeds the maximum size of " +
+          maxItemSize + " bytes."));
+        return;
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    };
+    validator._flush = function (callback) {
+      checkContent({
+        namespace: namespace || null,
+        metadata: metadata,
+        size: size,
+        digest: hash.digest()
+      }, saveOptions, callback);
+    };
+    stream.on("error", function (err) {
+      validator.destroy(err);
+    });
+
+    // Content is read once the save consumes the validated stream, so a
+    // rejection is not emitted before the save listens to errors.
+    validator.once("resume", function () {
+      stream.pipe(validator);
+    });
+
+    return validator;
+  };
+
+  /** Adds a reference from the chunks of a chunked item to the item.
+   *
+   * @param {DataStoreItem} item Chunked item. Cannot be null.
+   * @param {Object} chunked Content of the item, as it's taken by
+   *    <code>writeItem()</code>. Can be null.
+   * @param {Function} callback Callback invoked when all chunks are
+   *    referenced. It takes an error as parameter. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var referenceChunks = function (item, chunked, callback) {
+    async.eachSeries(chunked ? chunked.chunks : [], function (chunkId,
+        chunkCallback) {
+      index.addRef(chunkId, item.getId(), chunkCallback);
+    }, function (err) {
+      callback(err || null);
+    });
+  };
+
+  /** Writes a new item to the target devices that have room for it and
+   * registers the item in the index. Devices without room are flagged as
+   * failed, so the item is synchronized to them later.
+   *
+   * @param {stream.Readable} stream Stream to read item content. Cannot be
+   *    null.
+   * @param {DataStoreItem} provisionalItem Item that holds the provisional
+   *    id, the namespace and the metadata. Cannot be null.
+   * @param {String} parentHash Hash of the item the namespace belongs to. If
+   *    it's null, the item is identified by its own content hash.
+   * @param {Device[]} supported Devices that support the item. Cannot be
+   *    null.
+   * @param {Device[]} targets Devices selected by the replication policy.
+   *    Cannot be null.
+   * @param {Device[]} full Target devices without room for the item. Devices
+   *    that run out of room once the item size is known are skipped as well.
+   *    Cannot be null.
+   * @param {Object} chunked Content of a chunked item, if the stream
+   *    provides its manifest. It has the content <code>hash</code>, the
+   *    <code>size</code> and the ids of the <code>chunks</code>. Can be
+   *    null.
+   * @param {Function} callback Function to receive the new item. It takes
+   *    an error, the item and the save report as parameters. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var writeItem = function (stream, provisionalItem, parentHash, supported,
+      targets, full, chunked, callback) {
+    var namespace = provisionalItem.getNamespace();
+    var metadata = provisionalItem.getMetadata();
+    var writable = targets.filter(function (device) {
+      return full.indexOf(device) === -1;
+    });
+    var skipped = full.slice();
+    var entryId = null;
+    var finish = function (err, item, report) {
+      // Provisional content is not orphan until it's committed or removed.
+      delete pendingItems[provisionalItem.getId()];
+
+      endOperation(entryId, function () {
+        callback(err, item, report);
+      });
+    };
+    var discard = function (err, results) {
+      discardProvisional(results, function () {
+        finish(err);
+      });
+    };
+    var register = function (hash, results, bytes) {
+      var contentHash = chunked ? chunked.hash : hash;
+      var id = ItemId.compose(parentHash || contentHash, namespace);
+
+      // The id is recorded before the item is registered, so an interrupted
+      // save can be found in the index.
+      updateOperation(entryId, {
+        item: id,
+        chunks: chunked ? chunked.chunks : []
+      }, function (err) {
+        if (err) {
+          discard(err, results);
+          return;
+        }
+        registerItem(id, metadata, {
+          hash: parentHash ? contentHash : null,
+          size: chunked ? chunked.size : bytes,
+          manifest: chunked ? hash : null
+        }, function (err, item, duplicate) {
+          if (err) {
+            discard(err, results);
+            return;
+          }
+
+          async.map(results, function (result, resultCallback) {
+            if (result.error) {
+              resultCallback(null, result.error);
+            } else if (duplicate && isSynchronized(result.device, item)) {
+              // The device already has the content.
+              discardProvisional([result], function () {
+                resultCallback(null, null);
+              });
+            } else {
+              // The size is known now, so quotas are checked again.
+              findFullDevices([result.device], bytes, function (overflow) {
+                if (overflow.length) {
+                  skipped.push(result.device);
+                  discardProvisional([result], function () {
+                    resultCallback(null, null);
+                  });
+                  return;
+                }
+                result.device.commit(result.item, item, function (err) {
+                  if (!err) {
+                    recordUsage(result.device, bytes);
+                  }
+                  resultCallback(null, err || null);
+                });
+              });
+            }
+          }, function (err, errors) {
+            var required = requiredWrites(targets, supported);
+            var failures = [];
+            var report;
+
+            errors.forEach(function (deviceError, i) {
+              if (deviceError) {
+                item.status(results[i].device, 500, deviceError.message);
+                notifyError(deviceError, id, namespace, "save",
+                  results[i].device);
+                failures.push(results[i].device.getId() + ": " +
+                  deviceError.message);
+              }
+            });
+            devices.forEach(function (device) {
+              if (supported.indexOf(device) === -1) {
+                item.status(device, 415, "Item not supported by the device.");
+              } else if (skipped.indexOf(device) > -1 &&
+                  !isSynchronized(device, item)) {
+                item.status(device, 507, "Insufficient storage.");
+                notifyError(new Error("Device " + device.getId() + " has no " +
+                  "room for the item."), id, namespace, "save", device);
+                failures.push(device.getId() + ": insufficient storage");
+              } else if (targets.indexOf(device) === -1 &&
+                  !isSynchronized(device, item)) {
+                item.status(device, 202, "Pending replication.");
+              }
+            });
+
+            report = createSaveReport(item, required, duplicate);
+
+            emitEvent("item:saved", id, namespace, null, {
+              report: report
+            });
+
+            if (replication.mode !== "all" &&
+                report.written < supported.length) {
+              scheduleSync(id);
+            }
+
+            referenceChunks(item, chunked, function (refErr) {
+              if (report.written < required) {
+                finish(new Error("Replication policy not met: " +
+                  report.written + " of " + required + " required devices " +
+                  "written (" + failures.join(", ") + ")."), item, report);
+              } else {
+                finish(refErr || null, item, report);
+              }
+            });
+          });
+        });
+      });
+    };
+
+    beginOperation({
+      type: "save",
+      provisional: provisionalItem.getId(),
+      namespace: namespace,
+      devices: writable.map(function (device) {
+        return device.getId();
+      })
+    }, function (err, id) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      entryId = id;
+      pendingItems[provisionalItem.getId()] = true;
+
+      acquireWrites(writable, function (release) {
+        writeToDevices(stream, provisionalItem, writable, release,
+          function (err, hash, results, bytes) {
+            if (err) {
+              discard(err, results);
+            } else {
+              register(hash, results, bytes);
+            }
+          });
+      });
+    });
+  };
+
+  /** Saves a resource and creates a new item. The item is written to the
+   * devices selected by the replication policy, and the remaining devices
+   * receive the item in background. If the item already exists, the content
+   * is committed only to devices that don't have it and the metadata is
+   * merged into the existing item.
+   *
+   * @param {stream.Readable} stream Stream to read item content. Cannot be
+   *    null.
+   * @param {String} namespace Item namespace, if any. Can be null.
+   * @param {Object} metadata Item metadata. Cannot be null.
+   * @param {String} parentHash Hash of the item the namespace belongs to. If
+   *    it's null, the item is identified by its own content hash.
+   * @param {Object} chunked Content of a chunked item, if the stream
+   *    provides its manifest. It has the content <code>hash</code>, the
+   *    <code>size</code> and the ids of the <code>chunks</code>. Can be
+   *    null.
+   * @param {Function} callback Function to receive the new item. It takes
+   *    an error, the item and the save report as parameters. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var storeItem = function (stream, namespace, metadata, parentHash, chunked,
+      callback) {
+    var provisionalItem = new DataStoreItem(
+      crypto.randomBytes(32).toString("hex"), metadata, {}, {
+        namespace: namespace || null
+      });
+    var supported = filterSupported(provisionalItem);
+    var targets = selectTargets(supported);
+
+    if (targets.length === 0) {
+      callback(new Error("There's no device that supports the item."));
+      return;
+    }
+
+    findFullDevices(targets, (metadata && metadata.size) || 0,
+      function (full) {
+        writeItem(stream, provisionalItem, parentHash, supported, targets,
+          full, chunked, callback);
+      });
+  };
+
+  /** Stores a chunk as an item in the chunk namespace. Chunks that already
+   * exist in all devices are not written again.
+   *
+   * @param {Buffer} chunk Chunk content. Cannot be null.
+   * @param {String} digest Self-describing hash of the chunk. Cannot be null.
+   * @param {Function} callback Callback invoked when the chunk is stored. It
+   *    takes an error and a boolean indicating whether the chunk was written
+   *    as parameters. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var storeChunk = function (chunk, digest, callback) {
+    findDuplicate(digest, CHUNK_NAMESPACE, null, function (existing) {
+      var input;
+
+      if (existing) {
+        callback(null, false);
+        return;
+      }
+      input = new PassThrough();
+      input.end(chunk);
+
+      storeItem(input, CHUNK_NAMESPACE, {}, null, null, function (err,
+          item) {
+        // Chunks that don't meet the replication policy are synchronized
+        // as any other item.
+        callback(item ? null : err, !!item);
+      });
+    });
+  };
+
+  /** Removes chunks stored by a save that failed. Chunks used by other
+   * saves or referenced by any item are kept.
+   *
+   * @param {String[]} chunkIds Ids of the chunks stored by the save. Cannot
+   *    be null.
+   * @param {Function} callback Callback invoked when the chunks are removed.
+   *    Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var removeChunks = function (chunkIds, callback) {
+    async.eachSeries(chunkIds, function (chunkId, chunkCallback) {
+      if (pendingChunks.hasOwnProperty(chunkId) ||
+          queuedItems.hasOwnProperty(chunkId)) {
+        chunkCallback();
+        return;
+      }
+      index.getItem(chunkId, function (err, chunk) {
+        if (err || chunk.getRefs().length) {
+          chunkCallback();
+          return;
+        }
+        deleteItem(chunk, function (err) {
+          if (err) {
+            // Content left in devices is removed by purge.
+            notifyError(err, chunkId, CHUNK_NAMESPACE, "save");
+          }
+          index.removeItem(chunkId, function () {
+            chunkCallback();
+          });
+        });
+      });
+    }, function () {
+      callback();
+    });
+  };
+
+  /** Saves a resource as a chunked item. The content is split into chunks
+   * that are stored as items in the chunk namespace, and the item content is
+   * the manifest that lists the chunks. Chunks are referenced by the item,
+   * and they're shared by all items that have the same chunk.
+   *
+   * @param {stream.Readable} stream Stream to read item content. Cannot be
+   *    null.
+   * @param {String} namespace Item namespace, if any. Can be null.
+   * @param {Object} metadata Item metadata. Cannot be null.
+   * @param {String} parentHash Hash of the item the namespace belongs to. If
+   *    it's null, the item is identified by its own content hash.
+   * @param {Function} callback Function to receive the new item. It takes
+   *    an error, the item and the save report as parameters. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var storeChunkedItem = function (stream, namespace, metadata, parentHash,
+      callback) {
+    var hash = ItemId.createHash(algorithm);
+    var chunker = new Chunker(chunking);
+    var writer = new Writable({
+      objectMode: true
+    });
+    var chunks = [];
+    var chunkIds = [];
+    var storedChunks = [];
+    var size = 0;
+    var finished = false;
+    var writing = false;
+    var afterWrite = null;
+    var done = function (err, item, report) {
+      chunkIds.forEach(function (chunkId) {
+        pendingChunks[chunkId] -= 1;
+
+        if (pendingChunks[chunkId] === 0) {
+          delete pendingChunks[chunkId];
+        }
+      });
+      if (item) {
+        callback(err, item, report);
+        return;
+      }
+      // Nothing is left from a failed save.
+      removeChunks(storedChunks, function () {
+        callback(err, item, report);
+      });
+    };
+    var finish = function (err) {
+      var manifest;
+
+      if (finished) {
+        return;
+      }
+      finished = true;
+
+      if (err) {
+        stream.unpipe(chunker);
+
+        // Waits for the chunk being stored, so it's removed as well.
+        if (writing) {
+          afterWrite = function () {
+            done(err);
+          };
+        } else {
+          done(err);
+        }
+        return;
+      }
+      manifest = new PassThrough();
+      manifest.end(JSON.stringify({
+        size: size,
+        chunks: chunks
+      }));
+
+      storeItem(manifest, namespace, metadata, parentHash, {
+        hash: hash.digest(),
+        size: size,
+        chunks: chunkIds
+      }, done);
+    };
+
+    writer._write = function (chunk, encoding, writeCallback) {
+      var chunkHash = ItemId.createHash(algorithm);
+      var digest;
+      var chunkId;
+
+      if (finished) {
+        writeCallback();
+        return;
+      }
+      chunkHash.update(chunk);
+      digest = chunkHash.digest();
+      chunkId = ItemId.compose(digest, CHUNK_NAMESPACE);
+
+      hash.update(chunk);
+      size += chunk.length;
+
+      chunks.push({
+        hash: digest,
+        size: chunk.length
+      });
+      if (chunkIds.indexOf(chunkId) === -1) {
+        chunkIds.push(chunkId);
+        pendingChunks[chunkId] = (pendingChunks[chunkId] || 0) + 1;
+      }
+      writing = true;
+
+      storeChunk(chunk, digest, function (err, stored) {
+        var next = afterWrite;
+
+        writing = false;
+        afterWrite = null;
+
+        if (stored) {
+          storedChunks.push(chunkId);
+        }
+        writeCallback(err);
+
+        if (next) {
+          next();
+        }
+      });
+    };
+    writer.on("finish", function () {
+      finish(null);
+    });
+    writer.on("error", finish);
+    stream.on("error", finish);
+
+    stream.pipe(chunker).pipe(writer);
+  };
+
+  /** Opens the content stored in devices for reading from the devices that
+   * support the item, sorted by the read strategy. It sets up the item
+   * stream and range.
+   *
+   * @param {DataStoreItem} item Item to read. Cannot be null.
+   * @param {Object} range Byte range to read, or null to read the whole
+   *    content.
+   * @param {Function} callback Callback invoked when the item is ready to be
+   *    read. It takes an error as parameter. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var readReplica = function (item, range, callback) {
+    openItem(item, readStrategy.order(devices.filter(function (device) {
+      return supportsItem(device, item);
+    }), item), range, function (err, openStream, remaining, source,
+        openRange) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      item.range = openRange;
+      item.stream = function () {
+        return createFallbackStream(item, openStream, source, remaining,
+          openRange);
+      };
+      callback(null);
+    });
+  };
+
+  /** Reads the manifest of a chunked item.
+   *
+   * @param {DataStoreItem} item Chunked item. Cannot be null.
+   * @param {Function} callback Callback that receives the manifest. It takes
+   *    an error and the manifest as parameters. The manifest has the content
+   *    <code>size</code> and the list of <code>chunks</code>, each one with
+   *    the chunk <code>hash</code> and <code>size</code>. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var readManifest = function (item, callback) {
+    readReplica(item, null, function (err) {
+      var parts = [];
+      var input;
+
+      if (err) {
+        callback(err);
+        return;
+      }
+      input = item.stream();
+      input.on("data", function (data) {
+        parts.push(data);
+      });
+      input.on("end", function () {
+        var manifest;
+
+        try {
+          manifest = JSON.parse(Buffer.concat(parts).toString());
+        } catch (parseErr) {
+          callback(new Error("Invalid manifest for item " + item.getId() +
+            ": " + parseErr.message));
+          return;
+        }
+        callback(null, manifest);
+      });
+      input.on("error", callback);
+    });
+  };
+
+  /** Creates a stream that reassembles the content of a chunked item. Chunks
+   * are read one by one, each one from the first available device.
+   *
+   * @param {Object} manifest Item manifest. Cannot be null.
+   * @param {Object} range Resolved byte range to read, or null to read the
+   *    whole content.
+   * @return {stream.Readable} Returns the content stream. Never returns null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var createChunkStream = function (manifest, range) {
+    var output = new PassThrough();
+    var offset = 0;
+    var parts = [];
+
+    manifest.chunks.forEach(function (chunk) {
+      var start = offset;
+      var end = offset + chunk.size - 1;
+
+      offset += chunk.size;
+
+      if (range && (end < range.start || start > range.end)) {
+        return;
+      }
+      parts.push({
+        hash: chunk.hash,
+        range: range && (range.start > start || range.end < end) ? {
+          start: Math.max(range.start, start) - start,
+          end: Math.min(range.end, end) - start
+        } : null
+      });
+    });
+
+    async.eachSeries(parts, function (part, partCallback) {
+      findItem(part.hash, CHUNK_NAMESPACE, function (err, chunkItem) {
+        if (err) {
+          partCallback(err);
+          return;
+        }
+        readReplica(chunkItem, part.range, function (err) {
+          var input;
+
+          if (err) {
+            partCallback(err);
+            return;
+          }
+          input = chunkItem.stream();
+          input.on("error", partCallback);
+          input.on("end", function () {
+            partCallback();
+          });
+          input.pipe(output, {
+            end: false
+          });
+        });
+      });
+    }, function (err) {
+      if (err) {
+        output.emit("error", err);
+      } else {
+        output.end();
+      }
+    });
+
+    return output;
+  };
+
+  /** Opens an item for reading. It sets up the item stream and range. The
+   * content of chunked items is reassembled from their chunks.
+   *
+   * @param {DataStoreItem} item Item to read. Cannot be null.
+   * @param {Object} range Byte range to read, or null to read the whole
+   *    content.
+   * @param {Function} callback Callback invoked when the item is ready to be
+   *    read. It takes an error as parameter. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var readItem = function (item, range, callback) {
+    if (!item.getManifest()) {
+      readReplica(item, range, callback);
+      return;
+    }
+    readManifest(item, function (err, manifest) {
+      var bounds = !err && range && ByteRange.resolve(range, manifest.size);
+
+      if (err) {
+        callback(err);
+      } else if (range && !bounds) {
+        callback(new Error("Range not satisfiable for item " +
+          item.getId() + "."));
+      } else {
+        item.range = bounds || null;
+        item.stream = function () {
+          return createChunkStream(manifest, bounds || null);
+        };
+        callback(null);
+      }
+    });
+  };
+
+  /** Returns the transformers that apply to the specified item.
+   * @param {DataStoreItem} item Main item. Cannot be null.
+   * @return {String[]} Returns the namespaces to derive. Never returns null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var findTransformers = function (item) {
+    return Object.keys(transformers).filter(function (namespace) {
+      var transformer = transformers[namespace];
+
+      return !transformer.match ||
+        transformer.match(item.getMetadata(), item);
+    });
+  };
+
+  /** Creates a namespace from a main item using the registered transformer.
+   * The namespace belongs to the main item.
+   *
+   * @param {DataStoreItem} item Main item. Cannot be null.
+   * @param {String} namespace Namespace to derive. Cannot be null.
+   * @param {Function} callback Callback that receives the new namespace. It
+   *    takes an error and the item as parameters. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var deriveNamespace = function (item, namespace, callback) {
+    var transformer = transformers[namespace];
+    var metadata = item.getMetadata();
+
+    if (!transformer || findTransformers(item).indexOf(namespace) === -1) {
+      callback(new Error("There's no transformer for namespace " +
+        namespace + " that matches the item."));
+      return;
+    }
+
+    readItem(item, null, function (err) {
+      var source;
+      var transform;
+
+      if (err) {
+        callback(err);
+        return;
+      }
+      source = item.stream();
+      transform = transformer.transform(metadata, item);
+
+      source.on("error", function (err) {
+        transform.emit("error", err);
+      });
+      transform.on("error", function () {
+        // Drains the source so the device releases the item.
+        source.unpipe(transform);
+        source.resume();
+      });
+
+      storeItem(source.pipe(transform), namespace,
+        transformer.metadata ? transformer.metadata(metadata, item) :
+          extend({}, metadata), ItemId.parse(item.getId()).hash, null,
+        function (err, derivedItem) {
+          callback(err, derivedItem);
+        });
+    });
+  };
+
+  /** Derives all the namespaces that apply to a new item. Errors are
+   * notified but they don't stop the process.
+   *
+   * @param {DataStoreItem} item Main item. Cannot be null.
+   * @param {Function} callback Callback invoked when all namespaces are
+   *    derived. It takes no parameters. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var deriveNamespaces = function (item, callback) {
+    async.eachSeries(findTransformers(item), function (namespace,
+        namespaceCallback) {
+      deriveNamespace(item, namespace, function (err) {
+        if (err) {
+          notifyError(err, item.getId(), namespace, "transform");
+        }
+        namespaceCallback();
+      });
+    }, function () {
+      callback();
+    });
+  };
+
+  /** Recovers an interrupted save. Provisional content is removed from the
+   * devices that were receiving it. If the item reached the index and at
+   * least one device has it, the save is replayed by synchronization.
+   * Otherwise the item is deleted, unless it's referenced.
+   *
+   * @param {Object} entry Journal entry of the save. Cannot be null.
+   * @param {Function} callback Callback invoked when the save is recovered.
+   *    It takes the recovery action as parameter. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var recoverSave = function (entry, callback) {
+    var provisionalItem = new DataStoreItem(entry.provisional, {}, {}, {
+      namespace: entry.namespace || null
+    });
+
+    async.each(devices.filter(function (device) {
+      return (entry.devices || []).indexOf(device.getId()) > -1;
+    }), function (device, deviceCallback) {
+      device.delete(provisionalItem, function () {
+        deviceCallback();
+      });
+    }, function () {
+      if (!entry.item) {
+        callback("rolledBack");
+        return;
+      }
+      index.getItem(entry.item, function (err, item) {
+        var stored = !err && filterSupported(item).some(function (device) {
+          return isSynchronized(device, item);
+        });
+
+        if (err || item.isDeleted()) {
+          callback("rolledBack");
+        } else if (stored || item.getRefs().length > 0) {
+          referenceChunks(item, entry, function (err) {
+            if (err) {
+              notifyError(err, item.getId(), item.getNamespace(), "journal");
+            }
+            scheduleSync(item.getId());
+            callback("replayed");
+          });
+        } else {
+          deleteItem(item, function (err) {
+            if (err) {
+              notifyError(err, item.getId(), item.getNamespace(), "journal");
+            }
+            callback("rolledBack");
+          });
+        }
+      });
+    });
+  };
+
+  /** Recovers an interrupted operation and finishes it in the journal.
+   * Deletions are completed and synchronizations are scheduled again.
+   *
+   * @param {Object} entry Journal entry of the operation. Cannot be null.
+   * @param {Function} callback Callback invoked when the operation is
+   *    recovered. It takes no parameters. Cannot be null.
+   * @private
+   * @methodOf DataStore#
+   */
+  var recoverOperation = function (entry, callback) {
+    var done = function (action) {
+      journal.end(entry.id, function (err) {
+        var namespace = entry.item ? ItemId.parse(entry.item).namespace :
+          null;
+
+        if (err) {
+          notifyError(err, entry.item || null, namespace, "journal");
+        }
+        emitEvent("item:recovered", entry.item || null, namespace, null, {
+          operation: entry.type,
+          action: action
+        });
+        callback();
+      });
+    };
+
+    if (entry.type === "save") {
+      recoverSave(entry, done);
+      return;
+    }
+    index.getItem(entry.item, function (err, item) {
+      if (err) {
+        done("rolledBack");
+      } else if (entry.type === "delete" && !item.isDeleted()) {
+        deleteItem(item, function (err) {
+          if (err) {
+            notifyError(err, item.getId(), item.getNamespace(), "journal");
+          }
+          done("replayed");
+        });
+      } else {
+        if (entry.type === "sync") {
+          scheduleSync(item.getId());
+        }
+        done("replayed");
+      }
+    });
+  };
+
+  /** Defers a call to a public method until interrupted operations are
+   * recovered, so it doesn't see provisional content being rolled back.
+   *
+   * @param {String} name Name of the method. Cannot be null or empty.
+   * @param {Arguments} args Arguments of the call, including the callback.
+   *    Cannot be null.
+   * @return {Boolean} Returns true if the call was deferred.
+   * @private
+   * @methodOf DataStore#
+   */
+  var deferred = function (name, args) {
+    if (!recoveryCallbacks) {
+      return false;
+    }
+    recoveryCallbacks.push(function () {
+      dataStore[name].apply(dataStore, args);
+    });
+    return true;
+  };
+
+  /** Recovers the operations interrupted by a crash. It starts when the data
+   * store is created.
+   * @private
+   * @methodOf DataStore#
+   */
+  var recover = function () {
+    var finish = function () {
+      var callbacks = recoveryCallbacks;
+
+      recoveryCallbacks = null;
+      callbacks.forEach(function (recoveryCallback) {
+        recoveryCallback();
+      });
+    };
+
+    if (!journal) {
+      finish();
+      return;
+    }
+    journal.pending(function (err, entries) {
+      if (err) {
+        notifyError(err, null, null, "journal");
+        finish();
+        return;
+      }
+      entries.forEach(function (entry) {
+        if (entry.provisional) {
+          pendingItems[entry.provisional] = true;
+        }
+      });
+      async.eachSeries(entries, recoverOperation, function () {
+        entries.forEach(function (entry) {
+          delete pendingItems[entry.provisional];
+        });
+        index.flush(function (err) {
+          if (err) {
+            notifyError(err, null, null, "journal");
+          }
+          finish();
+        });
+      });
+    });
+  };
+
+  initialize();
+  validateReplication();
+  startExpiryTimer();
+  recover();
+
+  return Promises.dataStore(extend(dataStore, {
+
+    /** Saves a resource and creates a new item. The item is written to the
+     * devices selected by the replication policy, and the remaining devices
+     * receive the item in background. If the content already exists, the new
+     * metadata is merged into the existing item and devices that already
+     * have the content don't commit it again.
+     *
+     * Device writes are skipped only if the <code>digest</code> option is
+     * provided, since it's the only way to detect existing content before
+     * the stream is read. Without it, the content is streamed into every
+     * target device while it's hashed and the provisional copies of existing
+     * content are discarded, so saving existing content costs the same I/O
+     * as saving new content. Chunked saves don't write the chunks that
+     * already exist in all devices.
+     *
+     * @param {stream.Readable|Function} stream Stream to read item content,
+     *    or a function that opens the stream when the save starts. Cannot be
+     *    null.
+     * @param {String} namespace Item namespace, if any. Can be null.
+     * @param {Object} metadata Item metadata. Cannot be null.
+     * @param {Object} [options] Save options. Can be null.
+     * @param {String} [options.parent] Id of the item this namespace belongs
+     *    to. The namespace is identified by the parent item, so it can be
+     *    retrieved using the parent item id. It requires a namespace. Saving
+     *    different content under an existing namespace fails, the namespace
+     *    must be deleted first.
+     * @param {String} [options.digest] Self-describing hash of the content,
+     *    as it's used in item ids. If an item with this content already
+     *    exists in all devices, the stream is not read and the metadata is
+     *    merged into the existing item. Otherwise the save is rejected if
+     *    the content doesn't match the digest.
+     * @param {Number} [options.size] Expected size of the content in bytes.
+     *    The save is rejected if the size doesn't match.
+     * @param {String} [options.ref] Reference to add to the item, like the
+     *    owner of the content. Saving the same content with different
+     *    references shares the item between them.
+     * @param {Boolean} [options.chunked] Indicates whether to store the
+     *    content in chunks. Default is true if chunking is enabled for the
+     *    data store, false otherwise.
+     * @param {Number} [options.ttl] Time the item lives, in milliseconds. By
+     *    default items never expire.
+     * @param {Number|Date} [options.expiresAt] Time the item expires, either
+     *    a Date or milliseconds since the epoch. It takes precedence over the
+     *    ttl.
+     * @param {Function} callback Function to receive the new item. It takes
+     *    an error, the item and the save report as parameters. The report has
+     *    the item status in each device, the number of devices written, the
+     *    number of devices required by the replication policy and whether the
+     *    item was a duplicate of an existing item. The error is set if the
+     *    replication policy is not met. Cannot be null.
+     */
+    save: function (stream, namespace, metadata, options, callback) {
+      var saveOptions = options || {};
+      var saveCallback = callback;
+      var expiresAt = null;
+      var release = null;
+      var complete = function (err, item, report) {
+        release();
+        saveCallback(err, item, report);
+      };
+      var finish = function (err, item, report) {
+        // Items that don't meet the replication policy are saved anyway, so
+        // they're referenced and they expire as well.
+        if (!item) {
+          complete(err, item, report);
+          return;
+        }
+        updateExpiration(item, expiresAt, report.duplicate,
+          function (expiryErr, expiringItem) {
+            var savedItem = expiringItem || item;
+
+            if (expiryErr || !saveOptions.ref) {
+              complete(err || expiryErr || null, savedItem, report);
+              return;
+            }
+            index.addRef(savedItem.getId(), saveOptions.ref,
+              function (refErr, referencedItem) {
+                complete(err || refErr, referencedItem || savedItem, report);
+              });
+          });
+      };
+      var done = function (err, item, report) {
+        if (err || namespace || report.duplicate) {
+          finish(err, item, report);
+        } else {
+          deriveNamespaces(item, function () {
+            finish(null, item, report);
+          });
+        }
+      };
+      var write = function (parentHash) {
+        var chunked = saveOptions.chunked !== undefined ?
+          saveOptions.chunked : chunking !== null;
+        var input = typeof stream === "function" ? stream() : stream;
+        var validated = saveOptions.digest || validators.length ||
+          maxItemSize !== null ||
+          (saveOptions.size !== undefined && saveOptions.size !== null);
+
+        if (validated) {
+          input = createValidator(input, namespace, metadata, saveOptions);
+        }
+
+        if (chunked) {
+          storeChunkedItem(input, namespace, metadata, parentHash, done);
+        } else {
+          storeItem(input, namespace, metadata, parentHash, null, done);
+        }
+      };
+      var store = function (parentHash) {
+        if (!saveOptions.digest) {
+          write(parentHash);
+          return;
+        }
+        findDuplicate(saveOptions.digest, namespace, parentHash,
+          function (existing) {
+            if (!existing) {
+              write(parentHash);
+              return;
+            }
+            checkContent({
+              namespace: namespace || null,
+              metadata: metadata,
+              size: existing.getSize(),
+              digest: saveOptions.digest
+            }, saveOptions, function (err) {
+              if (err) {
+                done(err);
+                return;
+              }
+              mergeMetadata(existing, metadata, function (err, item) {
+                var supported;
+                var report;
+
+                if (err) {
+                  done(err);
+                  return;
+                }
+                supported = filterSupported(item);
+                report = createSaveReport(item,
+                  requiredWrites(selectTargets(supported), supported), true);
+
+                emitEvent("item:saved", item.getId(), namespace, null, {
+                  report: report
+                });
+                done(null, item, report);
+              });
+            });
+          });
+      };
+      var start = function (releaseSlot) {
+        release = releaseSlot;
+
+        if (!saveOptions.parent) {
+          store(null);
+          return;
+        }
+        findItem(saveOptions.parent, null, function (err, parent) {
+          if (err) {
+            complete(err);
+          } else if (parent.isDeleted()) {
+            complete(new Error("Item " + parent.getId() + " was deleted."));
+          } else if (parent.isExpired()) {
+            complete(new Error("Item " + parent.getId() + " expired."));
+          } else {
+            store(ItemId.parse(parent.getId()).hash);
+          }
+        });
+      };
+
+      if (deferred("save", arguments)) {
+        return;
+      }
+
+      if (typeof options === "function") {
+        saveOptions = {};
+        saveCallback = options;
+      }
+      if (namespace === CHUNK_NAMESPACE) {
+        saveCallback(new Error("Namespace " + namespace + " is reserved."));
+        return;
+      }
+      if (saveOptions.expiresAt !== undefined &&
+          saveOptions.expiresAt !== null) {
+        expiresAt = new Date(saveOptions.expiresAt).getTime();
+      } else if (saveOptions.ttl !== undefined && saveOptions.ttl !== null) {
+        expiresAt = Date.now() + Number(saveOptions.ttl);
+      }
+      if (isNaN(expiresAt)) {
+        saveCallback(new Error("Invalid expiration time."));
+        return;
+      }
+      if (saveOptions.digest && !ItemId.parse(saveOptions.digest).algorithm) {
+        saveCallback(new Error("Digest algorithm not supported: " +
+          saveOptions.digest));
+        return;
+      }
+      if (saveOptions.parent && !namespace) {
+        saveCallback(new Error("A namespace is required to save an item " +
+          "under a parent item."));
+        return;
+      }
+      if (saveQueue) {
+        saveQueue.push(start);
+      } else {
+        start(function () {});
+      }
+    },
+
+    /** Returns a single item from the data store.
+     *
+     * Derived namespaces that don't exist or that cannot be read from any
+     * device are recreated from the main item.
+     *
+     * Expired items are not provided, even if they're not deleted yet.
+     *
+     * If a byte range is specified, the item stream provides only that part
+     * of the content and <code>item.range</code> has the resolved
+     * <code>start</code> and <code>end</code> offsets and the
+     * <code>total</code> length of the content.
+     *
+     * @param {String} id Id of the required item.
+     * @param {String} namespace The required item namespace, if any. Can be
+     *    null.
+     * @param {Object} [options] Read options. Can be null.
+     * @param {Object} [options.range] Byte range to read. It has the
+     *    <code>start</code> and <code>end</code> offsets, both inclusive. The
+     *    end is optional. Can be null.
+     * @param {Function} callback Function that receives the required item. It
+     *    takes an error and the required item as parameters. Cannot be null.
+     */
+    get: function (id, namespace, options, callback) {
+      var getOptions = options || {};
+      var getCallback = callback;
+      var derived = namespace && transformers.hasOwnProperty(namespace);
+      var recreate = function (err) {
+        findItem(id, null, function (mainErr, mainItem) {
+          if (mainErr || mainItem.isDeleted() || mainItem.isExpired()) {
+            getCallback(err);
+            return;
+          }
+          deriveNamespace(mainItem, namespace, function (err, item) {
+            if (err) {
+              getCallback(err);
+              return;
+            }
+            readItem(item, getOptions.range || null, function (err) {
+              getCallback(err, err ? null : item);
+            });
+          });
+        });
+      };
+
+      if (deferred("get", arguments)) {
+        return;
+      }
+
+      if (typeof options === "function") {
+        getOptions = {};
+        getCallback = options;
+      }
+
+      findItem(id, namespace, function (err, item) {
+        var itemError = err;
+
+        if (!itemError && item.isDeleted()) {
+          itemError = new Error("Item " + item.getId() + " was deleted.");
+        } else if (!itemError && item.isExpired()) {
+          itemError = new Error("Item " + item.getId() + " expired.");
+        }
+        if (itemError && derived) {
+          recreate(itemError);
+        } else if (itemError) {
+          getCallback(itemError);
+        } else {
+          readItem(item, getOptions.range || null, function (err) {
+            if (err && derived) {
+              recreate(err);
+            } else {
+              getCallback(err, err ? null : item);
+            }
+          });
+        }
+      });
+    },
+
+    /** Registers a transformer to derive a namespace from main items. New
+     * main items that match the transformer are transformed and saved under
+     * the namespace. Existing items get the namespace when it's required.
+     *
+     * @param {String} namespace Namespace created by the transformer. Cannot
+     *    be null or empty.
+     * @param {Object} transformer Transformer to register. Cannot be null.
+     * @param {Function} transformer.transform Function to create the stream
+     *    that transforms the content. It takes the main item metadata and the
+     *    main item as parameters, and it must return a new
+     *    <code>stream.Transform</code>. Cannot be null.
+     * @param {Function} [transformer.match] Predicate to determine whether
+     *    the transformer applies to an item. It takes the item metadata and
+     *    the item as parameters. By default it applies to all items.
+     * @param {Function} [transformer.metadata] Function to create the
+     *    namespace metadata. It takes the main item metadata and the main
+     *    item as parameters. By default the namespace has a copy of the main
+     *    item metadata.
+     */
+    addTransformer: function (namespace, transformer) {
+      if (!namespace || typeof transformer.transform !== "function") {
+        throw new Error("Transformers require a namespace and a transform " +
+          "function.");
+      }
+      if (namespace === CHUNK_NAMESPACE) {
+        throw new Error("Namespace " + namespace + " is reserved.");
+      }
+      transformers[namespace] = transformer;
+    },
+
+    /** Registers a function to validate content before it's saved. Content
+     * rejected by any validator is discarded, and it's neither registered in
+     * the index nor kept in devices. Validators don't apply to derived
+     * namespaces.
+     *
+     * @param {Function} validator Function to validate the content. It takes
+     *    the content and a callback as parameters. The content has the
+     *    <code>namespace</code>, the <code>metadata</code>, the
+     *    <code>size</code> in bytes and the self-describing
+     *    <code>digest</code>. The callback takes an error as parameter to
+     *    reject the content. Cannot be null.
+     */
+    addValidator: function (validator) {
+      if (typeof validator !== "function") {
+        throw new Error("Validators must be functions.");
+      }
+      validators.push(validator);
+    },
+
+    /** Returns the namespaces of an item. Deleted namespaces are not
+     * included. Namespaces saved without a parent item are included if they
+     * share the item hash, as namespaces stored by previous versions do.
+     *
+     * @param {String} id Id of the main item. Cannot be null or empty.
+     * @param {Function} callback Function that receives the namespaces. It
+     *    takes an error and the list of items as parameters. Each item has
+     *    the namespace, the metadata and the status in each device. Cannot be
+     *    null.
+     */
+    getNamespaces: function (id, callback) {
+      if (deferred("getNamespaces", arguments)) {
+        return;
+      }
+
+      findNamespaces(id, function (err, namespaces) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, namespaces.filter(function (item) {
+            return !item.isDeleted() && !item.isExpired();
+          }));
+        }
+      });
+    },
+
+    /** Updates the metadata of an item. The patch is merged into the current
+     * metadata, and attributes set to null are removed. Each update creates a
+     * new metadata version that is kept in the item history.
+     *
+     * @param {String} id Id of the item to update. Cannot be null or empty.
+     * @param {String} namespace The item namespace, if any. Can be null.
+     * @param {Object} patch Metadata attributes to change. Cannot be null.
+     * @param {Object} [options] Update options. Can be null.
+     * @param {Number} [options.version] Version the patch is based on. If it's
+     *    set and the item was modified since that version, the update is
+     *    rejected.
+     * @param {Function} callback Function that receives the updated item. It
+     *    takes an error and the item as parameters. Cannot be null.
+     */
+    updateMetadata: function (id, namespace, patch, options, callback) {
+      var updateOptions = options;
+      var updateCallback = callback;
+
+      if (deferred("updateMetadata", arguments)) {
+        return;
+      }
+
+      if (typeof options === "function") {
+        updateOptions = null;
+        updateCallback = options;
+      }
+
+      findItem(id, namespace, function (err, item) {
+        if (err) {
+          updateCallback(err);
+          return;
+        }
+        if (item.isDeleted()) {
+          updateCallback(new Error("Item " + item.getId() + " was deleted."));
+          return;
+        }
+        index.updateMetadata(item.getId(), patch, {
+          version: updateOptions ? updateOptions.version : undefined
+        }, function (err, updatedItem) {
+          if (err) {
+            updateCallback(err);
+            return;
+          }
+          emitEvent("item:updated", updatedItem.getId(),
+            updatedItem.getNamespace(), null, {
+              version: updatedItem.getVersion()
+            });
+          updateCallback(null, updatedItem);
+        });
+      });
+    },
+
+    /** Adds a reference to an item. References are opaque ids, like the
+     * owner of the item, and they keep the content until they're released
+     * via <code>removeRef()</code>.
+     *
+     * @param {String} id Id of the item to reference. Cannot be null or empty.
+     * @param {String} namespace The item namespace, if any. Can be null.
+     * @param {String} ref Reference to add. Cannot be null or empty.
+     * @param {Function} callback Function that receives the updated item. It
+     *    takes an error and the item as parameters. Cannot be null.
+     */
+    addRef: function (id, namespace, ref, callback) {
+      if (deferred("addRef", arguments)) {
+        return;
+      }
+
+      findItem(id, namespace, function (err, item) {
+        if (err) {
+          callback(err);
+        } else if (item.isDeleted()) {
+          callback(new Error("Item " + item.getId() + " was deleted."));
+        } else {
+          index.addRef(item.getId(), ref, callback);
+        }
+      });
+    },
+
+    /** Releases a reference to an item. When the last reference is released
+     * the item is deleted, together with the namespaces of a main item that
+     * are not referenced. Releasing a reference the item doesn't have is not
+     * considered an error.
+     *
+     * @param {String} id Id of the referenced item. Cannot be null or empty.
+     * @param {String} namespace The item namespace, if any. Can be null.
+     * @param {String} ref Reference to release. Cannot be null or empty.
+     * @param {Function} callback Function that receives the updated item. It
+     *    takes an error and the item as parameters. Cannot be null.
+     */
+    removeRef: function (id, namespace, ref, callback) {
+      if (deferred("removeRef", arguments)) {
+        return;
+      }
+
+      findItem(id, namespace, function (err, item) {
+        if (err) {
+          callback(err);
+          return;
+        }
+        if (item.isDeleted() || item.getRefs().indexOf(ref) === -1) {
+          callback(null, item);
+          return;
+        }
+        index.removeRef(item.getId(), ref, function (err, updatedItem) {
+          if (err || updatedItem.getRefs().length > 0) {
+            callback(err, updatedItem);
+            return;
+          }
+          releaseItem(updatedItem, function (err) {
+            callback(err, updatedItem);
+          });
+        });
       });
     },
 
-    /** Deletes a single item or any of its namespaces.
+    /** Deletes a single item or any of its namespaces. Items that still
+     * have references cannot be deleted, they're deleted when the last
+     * reference is released.
      *
      * @param {String} id Id of the item to delete. Cannot be null.
      * @param {String} namespace If specified, it deletes only the item
@@ -234,7 +3433,64 @@ module.exports = function DataStore(index, devices, options) {
      *    takes an error as parameter. Cannot be null.
      */
     delete: function (id, namespace, callback) {
-      throw new Error("No yet implemented!");
+      if (deferred("delete", arguments)) {
+        return;
+      }
+
+      findItem(id, namespace, function (err, item) {
+        if (err) {
+          callback(err);
+        } else if (item.getRefs().length > 0) {
+          callback(new Error("Item " + item.getId() + " is still " +
+            "referenced."));
+        } else {
+          deleteItem(item, callback);
+        }
+      });
+    },
+
+    /** Deletes an item and all its namespaces. Nothing is deleted if any of
+     * them still has references.
+     *
+     * @param {String} id Id of the main item. Cannot be null or empty.
+     * @param {Function} callback Function invoked when the item and its
+     *    namespaces are deleted. It takes an error as parameter. Cannot be
+     *    null.
+     */
+    deleteAll: function (id, callback) {
+      if (deferred("deleteAll", arguments)) {
+        return;
+      }
+
+      findNamespaces(id, function (err, namespaces) {
+        if (err) {
+          callback(err);
+          return;
+        }
+        findItem(id, null, function (mainErr, item) {
+          var items = namespaces.concat(mainErr ? [] : [item]).filter(
+            function (candidate) {
+              return !candidate.isDeleted();
+            });
+          var referenced = items.filter(function (candidate) {
+            return candidate.getRefs().length > 0;
+          });
+
+          if (mainErr && namespaces.length === 0) {
+            callback(mainErr);
+            return;
+          }
+          if (referenced.length) {
+            callback(new Error("Items are still referenced: " +
+              referenced.map(function (candidate) {
+                return candidate.getId();
+              }).join(", ")));
+            return;
+          }
+
+          deleteItems(items, callback);
+        });
+      });
     },
 
     /** Synchronizes either a single item or the full data store. If no item id
@@ -243,26 +3499,460 @@ module.exports = function DataStore(index, devices, options) {
      *
      * @param {String} [id] Id of the item to synchronize.
      * @param {Function} [callback] Callback invoked when synchronization
-     *    finished. Can be null.
+     *    finished. It takes an error as parameter. Can be null.
      */
     sync: function (id, callback) {
-      throw new Error("No yet implemented!");
+      var itemId = id;
+      var syncCallback = callback;
+      var processItems = function (items) {
+        var processed = 0;
+
+        async.eachSeries(items, function (item, itemCallback) {
+          syncItem(item, function () {
+            processed += 1;
+
+            if (options && options.progressHandler) {
+              options.progressHandler(item.getId(), processed, items.length);
+            }
+            itemCallback();
+          });
+        }, function () {
+          // Item status changed, it must be saved.
+          index.flush(syncCallback);
+        });
+      };
+
+      if (deferred("sync", arguments)) {
+        return;
+      }
+
+      if (typeof id === "function") {
+        syncCallback = id;
+        itemId = null;
+      }
+      syncCallback = syncCallback || function () {};
+
+      if (itemId) {
+        index.getItem(itemId, function (err, item) {
+          if (err) {
+            syncCallback(err);
+          } else {
+            processItems([item]);
+          }
+        });
+      } else {
+        index.list(function (err, items) {
+          if (err) {
+            syncCallback(err);
+          } else {
+            processItems(items);
+          }
+        });
+      }
+    },
+
+    /** Verifies that the content stored in devices matches the item hashes.
+     * Each replica is read and hashed again. Corrupted replicas are flagged
+     * with status 409 and, unless repair is disabled, they're replaced by a
+     * healthy replica from another device.
+     *
+     * Items are processed in id order. If a limit is specified, the report
+     * has a cursor to resume scrubbing from the next item.
+     *
+     * @param {Object} [options] Scrub options. Can be null.
+     * @param {String} [options.cursor] Cursor returned by a previous run to
+     *    resume scrubbing. Default is to start from the first item.
+     * @param {Number} [options.limit] Maximum number of items to verify in
+     *    this run. Default is all items.
+     * @param {Number} [options.rate] Maximum read rate in bytes per second.
+     *    Default is unlimited.
+     * @param {Boolean} [options.repair] Indicates whether to repair corrupted
+     *    replicas. Default is true.
+     * @param {Function} [callback] Function invoked when scrubbing finished.
+     *    It takes an error and the report as parameters. The report has the
+     *    number of <code>items</code> and of <code>verified</code> replicas,
+     *    the <code>corrupted</code> and <code>repaired</code> replicas with
+     *    the item and device ids, the read <code>errors</code>, the ids of
+     *    items <code>skipped</code> because the hash algorithm is unknown, the
+     *    number of <code>bytes</code> read and the <code>cursor</code> to
+     *    resume, which is null when all items were verified. Can be null.
+     */
+    scrub: function (options, callback) {
+      var scrubOptions = options || {};
+      var scrubCallback = callback || function () {};
+      var report = {
+        items: 0,
+        verified: 0,
+        corrupted: [],
+        repaired: [],
+        errors: [],
+        skipped: [],
+        bytes: 0,
+        cursor: null
+      };
+      var throttle;
+
+      if (deferred("scrub", arguments)) {
+        return;
+      }
+
+      if (typeof options === "function") {
+        scrubOptions = {};
+        scrubCallback = options;
+      }
+      throttle = {
+        rate: scrubOptions.rate,
+        start: Date.now(),
+        bytes: 0
+      };
+
+      index.list(function (err, items) {
+        var pending;
+
+        if (err) {
+          scrubCallback(err);
+          return;
+        }
+        pending = items.filter(function (item) {
+          return !item.isDeleted() &&
+            (!scrubOptions.cursor || item.getId() > scrubOptions.cursor);
+        }).sort(function (item1, item2) {
+          return item1.getId() < item2.getId() ? -1 : 1;
+        });
+
+        if (scrubOptions.limit && pending.length > scrubOptions.limit) {
+          pending = pending.slice(0, scrubOptions.limit);
+          report.cursor = pending[pending.length - 1].getId();
+        }
+
+        async.eachSeries(pending, function (item, itemCallback) {
+          report.items += 1;
+          scrubItem(item, throttle, scrubOptions.repair !== false, report,
+            itemCallback);
+        }, function () {
+          report.bytes = throttle.bytes;
+
+          // Item status changed, it must be saved.
+          index.flush(function (err) {
+            scrubCallback(err || null, report);
+          });
+        });
+      });
+    },
+
+    /** Wraps the data keys of the encrypted replicas with the current master
+     * key of each device, so previous master keys can be retired. Content is
+     * not encrypted again. Devices that don't support key rotation are
+     * skipped. The index is flushed to keep the new wrapped keys.
+     *
+     * @param {Function} [callback] Function invoked when keys were rotated.
+     *    It takes an error and the report as parameters. The report has the
+     *    number of <code>items</code> and of <code>replicas</code> processed
+     *    and the rotation <code>errors</code> with the item and device ids.
+     *    Can be null.
+     */
+    rotateKeys: function (callback) {
+      var rotateCallback = callback || function () {};
+      var rotating = devices.filter(function (device) {
+        return typeof device.rotateKey === "function";
+      });
+      var report = {
+        items: 0,
+        replicas: 0,
+        errors: []
+      };
+
+      if (deferred("rotateKeys", arguments)) {
+        return;
+      }
+
+      index.list(function (err, items) {
+        if (err) {
+          rotateCallback(err);
+          return;
+        }
+        async.eachSeries(items.filter(function (item) {
+          return !item.isDeleted();
+        }), function (item, itemCallback) {
+          report.items += 1;
+
+          async.eachSeries(rotating.filter(function (device) {
+            var status = item.status(device);
+
+            return status !== undefined && status.code === 200;
+          }), function (device, deviceCallback) {
+            device.rotateKey(item, function (err) {
+              if (err) {
+                notifyError(err, item.getId(), item.getNamespace(), "rotate",
+                  device);
+                report.errors.push({
+                  id: item.getId(),
+                  device: device.getId(),
+                  message: err.message
+                });
+              } else {
+                report.replicas += 1;
+              }
+              deviceCallback();
+            });
+          }, itemCallback);
+        }, function () {
+          // Item status changed, it must be saved.
+          index.flush(function (err) {
+            rotateCallback(err || null, report);
+          });
+        });
+      });
     },
 
-    /** Removes deleted and missing items from the index.
-     * @param {Function} [callback] Function invoked when purging finished. Can
-     *    be null.
+    /** Removes deleted and missing items from the index and removes orphan
+     * items from devices. Chunks that are not referenced by any item are
+     * removed as well. In dry-run mode nothing is removed, it only reports
+     * what would be purged.
+     *
+     * @param {Object} [options] Purge options. Can be null.
+     * @param {Boolean} [options.dryRun] Indicates whether to only report items
+     *    without removing them. Default is false.
+     * @param {Function} [callback] Function invoked when purging finished. It
+     *    takes an error and the report as parameters. The report has a list of
+     *    purged item ids and a list of orphan items with the device and item
+     *    ids. Can be null.
+     */
+    purge: function (options, callback) {
+      var purgeOptions = options || {};
+      var purgeCallback = callback || function () {};
+
+      if (deferred("purge", arguments)) {
+        return;
+      }
+
+      if (typeof options === "function") {
+        purgeOptions = {};
+        purgeCallback = options;
+      }
+
+      index.list(function (err, items) {
+        var liveItems = {};
+        var purged = [];
+
+        if (err) {
+          purgeCallback(err);
+          return;
+        }
+
+        Object.keys(pendingItems).forEach(function (id) {
+          liveItems[id] = true;
+        });
+        items.forEach(function (item) {
+          // Referenced items are kept until the last reference is released,
+          // so missing content can be re-attached.
+          if (item.isDeleted() ||
+              (item.isMissing() && item.getRefs().length === 0)) {
+            purged.push(item.getId());
+          } else {
+            liveItems[item.getId()] = true;
+          }
+        });
+        // Chunks no live item references are not live either, so they're
+        // removed from devices as orphans.
+        items.forEach(function (item) {
+          var id = item.getId();
+
+          if (item.getNamespace() === CHUNK_NAMESPACE &&
+              liveItems.hasOwnProperty(id) &&
+              !pendingChunks.hasOwnProperty(id) &&
+              !item.getRefs().some(function (ref) {
+                return liveItems.hasOwnProperty(ref);
+              })) {
+            delete liveItems[id];
+            purged.push(id);
+          }
+        });
+
+        async.mapSeries(devices, function (device, deviceCallback) {
+          findOrphans(device, liveItems, function (err, ids) {
+            if (err) {
+              notifyError(err, null, null, "purge", device);
+              deviceCallback(null, []);
+              return;
+            }
+            deviceCallback(null, ids.map(function (id) {
+              return {
+                device: device.getId(),
+                id: id
+              };
+            }));
+          });
+        }, function (err, deviceOrphans) {
+          var orphans = [].concat.apply([], deviceOrphans);
+          var report = {
+            purged: purged,
+            orphans: orphans
+          };
+
+          if (purgeOptions.dryRun) {
+            purgeCallback(null, report);
+            return;
+          }
+
+          async.series([
+            function removeOrphans(seriesCallback) {
+              async.eachSeries(orphans, function (orphan, orphanCallback) {
+                var device = devices.filter(function (device) {
+                  return device.getId() === orphan.device;
+                })[0];
+                var item = new DataStoreItem(orphan.id, {}, {});
+
+                device.delete(item, function (err) {
+                  if (err) {
+                    notifyError(err, orphan.id, null, "purge", device);
+                  }
+                  orphanCallback();
+                });
+              }, seriesCallback);
+            },
+            function removeItems(seriesCallback) {
+              async.eachSeries(purged, index.removeItem, seriesCallback);
+            }
+          ], function (err) {
+            purgeCallback(err || null, report);
+          });
+        });
+      });
+    },
+
+    /** Reports the storage used by each device and the total usage of the
+     * data store. Devices sharing the same storage are counted once per
+     * device. Devices that fail to report statistics have the error message
+     * and they're not included in the total.
+     *
+     * @param {Function} callback Function that receives the usage. It takes
+     *    an error and the usage as parameters. The usage has the total
+     *    <code>capacity</code>, <code>used</code> and <code>free</code>
+     *    bytes, the number of <code>items</code> and the statistics of each
+     *    device, indexed by device id, including the device
+     *    <code>quota</code>. Unknown values are null. Cannot be null.
+     */
+    stat: function (callback) {
+      if (deferred("stat", arguments)) {
+        return;
+      }
+
+      async.map(devices, function (device, deviceCallback) {
+        statDevice(device, true, function (err, stats) {
+          var quota = quotas[device.getId()];
+
+          if (err) {
+            notifyError(err, null, null, "stat", device);
+            deviceCallback(null, {
+              error: err.message
+            });
+            return;
+          }
+          deviceCallback(null, extend({
+            quota: quota === undefined ? null : quota
+          }, stats));
+        });
+      }, function (err, results) {
+        var usage = {
+          capacity: null,
+          used: null,
+          free: null,
+          items: null,
+          devices: {}
+        };
+
+        results.forEach(function (stats, i) {
+          usage.devices[devices[i].getId()] = stats;
+
+          ["capacity", "used", "free", "items"].forEach(function (key) {
+            if (stats[key] !== undefined && stats[key] !== null) {
+              usage[key] = (usage[key] || 0) + stats[key];
+            }
+          });
+        });
+
+        callback(null, usage);
+      });
+    },
+
+    /** Deletes expired items from all devices. Main items are deleted along
+     * with their namespaces. Items that still have references are kept until
+     * the last reference is released.
+     *
+     * @param {Object} [options] Sweep options. Can be null.
+     * @param {Boolean} [options.dryRun] Indicates whether to report expired
+     *    items without deleting them. Default is false.
+     * @param {Function} [callback] Function invoked when the sweep finished.
+     *    It takes an error and the sweep report as parameters. The report has
+     *    the ids of the items <code>deleted</code>, the ids of the expired
+     *    items that are still <code>referenced</code>, and the
+     *    <code>errors</code> with the item id and the message. Can be null.
+     */
+    expire: function (options, callback) {
+      var expireOptions = options || {};
+      var expireCallback = callback || function () {};
+
+      if (deferred("expire", arguments)) {
+        return;
+      }
+
+      if (typeof options === "function") {
+        expireOptions = {};
+        expireCallback = options;
+      }
+      sweepExpired(expireOptions.dryRun === true, expireCallback);
+    },
+
+    /** Returns the number of saves waiting for a slot. Saves wait only if
+     * the <code>maxConcurrentSaves</code> option is set, so producers can
+     * check the depth and wait for the <code>save:drain</code> event before
+     * saving more items.
+     *
+     * @return {Number} Returns the number of waiting saves. Never returns
+     *    null.
      */
-    purge: function (callback) {
-      throw new Error("No yet implemented!");
+    getQueueDepth: function () {
+      return saveQueue ? saveQueue.length() : 0;
     },
 
-    /** Closes the data store and flushes the index.
+    /** Closes the data store, flushes the index and closes the journal, if
+     * any. It waits until interrupted operations are recovered and items
+     * pending for background synchronization are replicated. The expiry
+     * sweep in background is stopped.
      * @param {Function} [callback] Callback invoked when data store is already
      *    closed. It takes an error as parameter. Can be null.
      */
     close: function (callback) {
-      index.flush(callback);
+      var closeCallback = callback || function () {};
+      var finish = function () {
+        index.flush(function (err) {
+          if (!journal) {
+            closeCallback(err || null);
+            return;
+          }
+          journal.close(function (closeErr) {
+            closeCallback(err || closeErr || null);
+          });
+        });
+      };
+      var flush = function () {
+        if (Object.keys(queuedItems).length === 0) {
+          finish();
+        } else {
+          // Waits for background synchronization.
+          idleCallbacks.push(finish);
+        }
+      };
+
+      if (expiryTimer) {
+        clearInterval(expiryTimer);
+      }
+      if (recoveryCallbacks) {
+        recoveryCallbacks.push(flush);
+      } else {
+        flush();
+      }
     }
-  };
+  }));
 };
@@ -3,8 +3,24 @@
  * @param {String} id Item unique id. Cannot be null or empty.
  * @param {Object} metadata Item metadata. Cannot be null.
  * @param {Object} status Status object. Cannot be null.
+ * @param {Object} [attributes] Additional item information kept by the index,
+ *    like the deleted flag. Can be null.
  */
-module.exports = function DataStoreItem (id, metadata, status) {
+module.exports = function DataStoreItem (id, metadata, status, attributes) {
+
+  /** Item ids utility.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStoreItem#
+   */
+  var ItemId = require("./ItemId");
+
+  /** Item index attributes, never null.
+   * @type {Object}
+   * @private
+   * @fieldOf DataStoreItem#
+   */
+  var itemAttributes = attributes || {};
 
   return {
 
@@ -15,6 +31,42 @@ module.exports = function DataStoreItem (id, metadata, status) {
       return id;
     },
 
+    /** Returns the item namespace. If the namespace is not explicitly set in
+     * the item attributes, it's taken from the item id.
+     * @return {String} Returns the namespace, or null if this is a main item.
+     */
+    getNamespace: function () {
+      if (itemAttributes.namespace !== undefined) {
+        return itemAttributes.namespace;
+      }
+      return ItemId.parse(id).namespace;
+    },
+
+    /** Returns the hash of the item content. It's the hash in the item id,
+     * unless the item is a namespace saved under a parent item.
+     * @return {String} Returns the self-describing hash. Never returns null.
+     */
+    getHash: function () {
+      return itemAttributes.hash || ItemId.parse(id).hash;
+    },
+
+    /** Returns the size of the item content, if it's known.
+     * @return {Number} Returns the size in bytes, or null if it's unknown.
+     */
+    getSize: function () {
+      return typeof itemAttributes.size === "number" ?
+        itemAttributes.size : null;
+    },
+
+    /** Returns the hash of the manifest if the content is stored in chunks.
+     * Devices store the manifest instead of the content in that case.
+     * @return {String} Returns the self-describing hash of the manifest, or
+     *    null if the content is not stored in chunks.
+     */
+    getManifest: function () {
+      return itemAttributes.manifest || null;
+    },
+
     /** Returns the item metadata.
      *
      * @return {Metadata} Returns a valid metadata, never returns null.
@@ -23,6 +75,95 @@ module.exports = function DataStoreItem (id, metadata, status) {
       return metadata;
     },
 
+    /** Returns the metadata version. Items start at version 1, and each
+     * metadata update creates a new version.
+     * @return {Number} Returns the current version. Never returns null.
+     */
+    getVersion: function () {
+      return itemAttributes.version || 1;
+    },
+
+    /** Returns the history of metadata changes. Each change has the
+     * <code>version</code> it created, the <code>timestamp</code> in
+     * milliseconds and the <code>patch</code> applied to the metadata.
+     * @return {Object[]} Returns the changes, oldest first. Never returns
+     *    null.
+     */
+    getHistory: function () {
+      return itemAttributes.history || [];
+    },
+
+    /** Returns the references to this item. The content is shared by all of
+     * them, and it's removed when the last reference is released.
+     * @return {String[]} Returns the references. Never returns null.
+     */
+    getRefs: function () {
+      return itemAttributes.refs || [];
+    },
+
+    /** Returns the time this item expires, if any.
+     * @return {Number} Returns the expiration time in milliseconds since the
+     *    epoch, or null if the item never expires.
+     */
+    getExpiresAt: function () {
+      return typeof itemAttributes.expiresAt === "number" ?
+        itemAttributes.expiresAt : null;
+    },
+
+    /** Indicates whether this item expired or not. Expired items are not
+     * provided by the data store, even if they're not deleted yet.
+     * @return {Boolean} Returns true if the item expired, false otherwise.
+     */
+    isExpired: function () {
+      var expiresAt = this.getExpiresAt();
+
+      return expiresAt !== null && expiresAt <= Date.now();
+    },
+
+    /** Indicates whether this item is logically deleted or not. Deleted items
+     * remain in the index until they're purged.
+     *
+     * @return {Boolean} Returns true if the item was deleted, false otherwise.
+     */
+    isDeleted: function () {
+      return itemAttributes.deleted === true;
+    },
+
+    /** Indicates whether this item is missing or not. An item is missing when
+     * it was sent to devices but it doesn't exist in any of them. Devices
+     * that don't support the item are not taken into account.
+     *
+     * @return {Boolean} Returns true if the item is missing, false otherwise.
+     */
+    isMissing: function () {
+      var deviceId;
+      var sent = false;
+
+      if (this.isDeleted()) {
+        return false;
+      }
+      for (deviceId in status) {
+        if (status.hasOwnProperty(deviceId)) {
+          if (status[deviceId].code === 200) {
+            return false;
+          }
+          if (status[deviceId].code !== 415) {
+            sent = true;
+          }
+        }
+      }
+      return sent;
+    },
+
+    /** Byte range provided by <code>stream()</code> when only a part of the
+     * content was requested. It has the <code>start</code> and
+     * <code>end</code> offsets, both inclusive, and the <code>total</code>
+     * length of the content. It's null if the stream provides the whole
+     * content.
+     * @type {Object}
+     */
+    range: null,
+
     /** Returns a stream to read this item. Always returns a new stream.
      *
      * @return {stream.Readable} Returns a valid stream, or throws an error if
@@ -38,13 +179,19 @@ module.exports = function DataStoreItem (id, metadata, status) {
      * @param {Number} [code] A valid HTTP status code that represents the
      *    item status in the device.
      * @param {String} [message] An optional status message. Can be null.
+     * @param {Object} [details] Device specific information about the
+     *    replica, like the encoding of the stored content. It's available as
+     *    <code>details</code> in the status. Can be null.
      */
-    status: function (device, code, message) {
+    status: function (device, code, message, details) {
       if (code !== undefined) {
         status[device.getId()] = {
           code: code,
           message: message
         };
+        if (details) {
+          status[device.getId()].details = details;
+        }
       }
       return status[device.getId()];
     }
@@ -1,11 +1,23 @@
 /** Data store Device abstraction layer. It's responsible of putting, getting,
  * deleting and checking physical items.
+ *
+ * Asynchronous methods return a promise if the callback is omitted.
+ * Implementations must wrap the overridden methods with
+ * <code>Promises.device()</code> to keep this behaviour.
+ *
  * @param {String} id Device unique id. Cannot be null or empty.
  * @constructor
  */
 module.exports = function Device (id) {
 
-  return {
+  /** Utility to support promises.
+   * @type {Object}
+   * @private
+   * @fieldOf Device#
+   */
+  var Promises = require("./Promises");
+
+  return Promises.device({
 
     /** Returns the device unique id.
      * @return {String} Returns the device id. Never returns null or empty.
@@ -14,6 +26,18 @@ module.exports = function Device (id) {
       return id;
     },
 
+    /** Indicates whether this device supports the specified item or not.
+     * Unsupported items are never sent to this device. By default all items
+     * are supported.
+     *
+     * @param {DataStoreItem} item Item to check. Cannot be null.
+     * @return {Boolean} Returns true if the item is supported, false
+     *    otherwise.
+     */
+    supports: function (item) {
+      return true;
+    },
+
     /** Sends the item to this device. It updates the item to reflect the
      * status on this device.
      * @param {DataStoreItem} item Item to send. Cannot be null.
@@ -24,34 +48,111 @@ module.exports = function Device (id) {
       throw new Error("Must be implemented by subclasses.");
     },
 
+    /** Moves a provisional item previously sent with <code>put()</code> to the
+     * final item. It updates the final item to reflect the status on this
+     * device.
+     *
+     * @param {DataStoreItem} provisionalItem Item sent to this device. Cannot
+     *    be null.
+     * @param {DataStoreItem} item Final item. Cannot be null.
+     * @param {Function} callback Callback invoked when the operation has
+     *    finished. It takes an error and the final item as parameters. Cannot
+     *    be null.
+     */
+    commit: function (provisionalItem, item, callback) {
+      throw new Error("Must be implemented by subclasses.");
+    },
+
     /** Opens a connection to the specified item and notifies when connection
      * is ready.
+     *
+     * If a byte range is specified the item stream provides only that part of
+     * the content, and the device sets <code>item.range</code> with the
+     * resolved <code>start</code> and <code>end</code> offsets and the
+     * <code>total</code> length of the content. Ranges that cannot be
+     * satisfied are reported as errors.
+     *
      * @param {DataStoreItem} item Item to open. Cannot be null.
+     * @param {Object} [options] Read options. Can be null.
+     * @param {Object} [options.range] Byte range to read. It has the
+     *    <code>start</code> and <code>end</code> offsets, both inclusive. The
+     *    end is optional. Can be null.
+     * @param {Boolean} [options.local] Indicates whether to read only the
+     *    content stored by this device, without retrieving it from other
+     *    locations. Default is false.
      * @param {Function} callback Function invoked to notify when the connection
      *    is opened. It takes an error and the item as parameters. Cannot be
      *    null.
      */
-    get: function (item, callback) {
+    get: function (item, options, callback) {
+      throw new Error("Must be implemented by subclasses.");
+    },
+
+    /** Physically removes the item from this device. It updates the item to
+     * reflect the status on this device. Removing an item that doesn't exist
+     * in the device is not considered an error.
+     *
+     * @param {DataStoreItem} item Item to remove. Cannot be null.
+     * @param {Function} callback Callback invoked when the operation has
+     *    finished. It takes an error and the item as parameters. Cannot be
+     *    null.
+     */
+    delete: function (item, callback) {
+      throw new Error("Must be implemented by subclasses.");
+    },
+
+    /** Lists the ids of all items physically stored in this device.
+     *
+     * @param {Function} callback Callback that receives the item ids. It takes
+     *    an error and the list of ids as parameters. Cannot be null.
+     */
+    list: function (callback) {
       throw new Error("Must be implemented by subclasses.");
     },
 
+    /** Reports the storage used by this device. Values the device cannot
+     * determine are null. By default nothing is known about the storage.
+     *
+     * @param {Function} callback Callback that receives the statistics. It
+     *    takes an error and the statistics as parameters. Statistics have the
+     *    total <code>capacity</code> in bytes, the <code>used</code> bytes,
+     *    the <code>free</code> bytes and the number of <code>items</code>
+     *    stored in the device. Cannot be null.
+     */
+    stat: function (callback) {
+      callback(null, {
+        capacity: null,
+        used: null,
+        free: null,
+        items: null
+      });
+    },
+
     /** Determines whether this device is available or not.
      * @param {Function} callback Callback invoked to notify whether the device
-     *    is available or not. It takes a boolean parameter. Cannot be null.
+     *    is available or not. It takes an error and a boolean as parameters.
+     *    Cannot be null.
      */
     ping: function (callback) {
       throw new Error("Must be implemented by subclasses.");
     },
 
+    /** Indicates whether this device stores content in the local machine.
+     * @return {Boolean} Returns true if the content is local, false otherwise.
+     */
+    isLocal: function () {
+      return false;
+    },
+
     /** Indicates whether the specified item exists in the device or not. This
      * validation could be offline depending on the device implementation.
      *
      * @param {DataStoreItem} item Item to validate. Cannot be null.
      * @param {Function} callback Callback to notify whether the item exists or
-     *    not. It receives a boolean as parameter. Cannot be null.
+     *    not. It takes an error and a boolean as parameters. Cannot be null.
      */
     exists: function (item, callback) {
       throw new Error("Must be implemented by subclasses.");
     }
-  };
+  });
 };
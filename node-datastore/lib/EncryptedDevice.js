@@ -0,0 +1,415 @@
+/** Device that encrypts content before it's stored in another device. It
+ * wraps any device and it takes its id, so it can replace the wrapped device
+ * in a data store that already has items.
+ *
+ * Content is encrypted with AES-256-GCM on <code>put()</code> and decrypted
+ * on <code>get()</code>. Each replica is encrypted with its own random data
+ * key, and the data key is wrapped with a master key by the key provider (see
+ * {@link KeyProviders}). The wrapped key, the initialization vector and the
+ * authentication tag are kept in the <code>encryption</code> entry of the
+ * item status <code>details</code> for this device, so the index must be
+ * kept as safe as the master keys. Item ids are computed by the data store
+ * before content is encrypted, so they're still the hash of the plaintext.
+ *
+ * Content is authenticated when the whole replica is read, so tampered
+ * replicas make the stream fail at the end. Replicas stored before the device
+ * was wrapped are read as they are.
+ *
+ * Master keys are rotated by re-wrapping the data key of each item with
+ * <code>rotateKey()</code>, content is not encrypted again. The index must be
+ * flushed to keep the new wrapped keys, <code>DataStore#rotateKeys()</code>
+ * does it for all items.
+ *
+ * @param {Device} device Device to store content to. Cannot be null.
+ * @param {Object} keyProvider Provider that wraps and unwraps data keys.
+ *    Cannot be null.
+ * @constructor
+ * @augments Device
+ */
+module.exports = function EncryptedDevice (device, keyProvider) {
+
+  /** Device base constructor.
+   * @type {Function}
+   * @private
+   * @fieldOf EncryptedDevice#
+   */
+  var Device = require("./Device");
+
+  /** Utility to support promises.
+   * @type {Object}
+   * @private
+   * @fieldOf EncryptedDevice#
+   */
+  var Promises = require("./Promises");
+
+  /** Utility to work with byte ranges.
+   * @type {Object}
+   * @private
+   * @fieldOf EncryptedDevice#
+   */
+  var ByteRange = require("./ByteRange");
+
+  /** Util to extend objects.
+   * @type {Function}
+   * @private
+   * @fieldOf EncryptedDevice#
+   */
+  var extend = require("extend");
+
+  /** Node crypto API.
+   * @type {Object}
+   * @private
+   * @fieldOf EncryptedDevice#
+   */
+  var crypto = require("crypto");
+
+  /** Algorithm used to encrypt content.
+   * @constant
+   * @private
+   * @fieldOf EncryptedDevice#
+   */
+  var ALGORITHM = "aes-256-gcm";
+
+  /** Size of data keys in bytes.
+   * @constant
+   * @private
+   * @fieldOf EncryptedDevice#
+   */
+  var KEY_SIZE = 32;
+
+  /** Size of the initialization vector in bytes.
+   * @constant
+   * @private
+   * @fieldOf EncryptedDevice#
+   */
+  var IV_SIZE = 12;
+
+  /** Validates the key provider.
+   * @private
+   * @methodOf EncryptedDevice#
+   */
+  var initialize = function () {
+    if (!keyProvider || typeof keyProvider.wrapKey !== "function" ||
+        typeof keyProvider.unwrapKey !== "function") {
+      throw new Error("A valid key provider is required.");
+    }
+  };
+
+  /** Returns the details of the item status for this device.
+   * @param {DataStoreItem} item Item to check. Cannot be null.
+   * @return {Object} Returns the status details, or null if there're no
+   *    details.
+   * @private
+   * @methodOf EncryptedDevice#
+   */
+  var findDetails = function (item) {
+    var status = item.status(device);
+
+    return (status && status.details) || null;
+  };
+
+  /** Returns the encryption details of the replica stored in the wrapped
+   * device.
+   * @param {DataStoreItem} item Item to check. Cannot be null.
+   * @return {Object} Returns the encryption details, or null if the replica
+   *    is not encrypted.
+   * @private
+   * @methodOf EncryptedDevice#
+   */
+  var findEncryption = function (item) {
+    var details = findDetails(item);
+    var encryption = details && details.encryption;
+
+    return encryption && encryption.algorithm === ALGORITHM ?
+      encryption : null;
+  };
+
+  /** Unwraps the data key of an encrypted replica.
+   * @param {DataStoreItem} item Item the replica belongs to. Cannot be null.
+   * @param {Object} encryption Encryption details of the replica. Cannot be
+   *    null.
+   * @param {Function} callback Callback that receives the data key. It takes
+   *    an error and the key as parameters. Cannot be null.
+   * @private
+   * @methodOf EncryptedDevice#
+   */
+  var unwrapKey = function (item, encryption, callback) {
+    keyProvider.unwrapKey(encryption.keyId, encryption.key,
+      function (err, dataKey) {
+        if (err) {
+          callback(new Error("Data key of item " + item.getId() +
+            " cannot be unwrapped: " + err.message), null);
+          return;
+        }
+        callback(null, dataKey);
+      });
+  };
+
+  initialize();
+
+  return Promises.api(Promises.device(extend(new Device(device.getId()), {
+
+    /** Indicates whether the wrapped device supports the specified item.
+     *
+     * @param {DataStoreItem} item Item to check. Cannot be null.
+     * @return {Boolean} Returns true if the item is supported, false
+     *    otherwise.
+     */
+    supports: function (item) {
+      return typeof device.supports !== "function" || device.supports(item);
+    },
+
+    /** Encrypts the item with a new data key and sends it to the wrapped
+     * device. It updates the item to reflect the status on this device.
+     *
+     * @param {DataStoreItem} item Item to send. Cannot be null.
+     * @param {Function} callback Callback invoked when the operation has
+     *    finished. It takes an error and the item as parameter. Cannot be null.
+     */
+    put: function (item, callback) {
+      var itemStream = item.stream;
+      var dataKey = crypto.randomBytes(KEY_SIZE);
+      var iv = crypto.randomBytes(IV_SIZE);
+      var size = 0;
+      var cipher;
+
+      keyProvider.wrapKey(dataKey, function (err, keyId, wrappedKey) {
+        if (err) {
+          item.status(device, 500, err.message);
+          callback(err, item);
+          return;
+        }
+        item.stream = function () {
+          var input = itemStream.call(item);
+
+          cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+
+          input.on("data", function (data) {
+            size += data.length;
+          });
+          input.on("error", function (err) {
+            cipher.emit("error", err);
+          });
+          return input.pipe(cipher);
+        };
+
+        device.put(item, function (err) {
+          item.stream = itemStream;
+
+          if (err) {
+            callback(err, item);
+            return;
+          }
+          item.status(device, 200, null, extend({}, findDetails(item), {
+            encryption: {
+              algorithm: ALGORITHM,
+              keyId: keyId,
+              key: wrappedKey,
+              iv: iv.toString("base64"),
+              tag: cipher.getAuthTag().toString("base64"),
+              size: size
+            }
+          }));
+          callback(null, item);
+        });
+      });
+    },
+
+    /** Moves a provisional item to the final item in the wrapped device. The
+     * final item keeps the details of the provisional item.
+     *
+     * @param {DataStoreItem} provisionalItem Item sent to this device. Cannot
+     *    be null.
+     * @param {DataStoreItem} item Final item. Cannot be null.
+     * @param {Function} callback Callback invoked when the operation has
+     *    finished. It takes an error and the final item as parameters. Cannot
+     *    be null.
+     */
+    commit: function (provisionalItem, item, callback) {
+      var details = findDetails(provisionalItem);
+
+      device.commit(provisionalItem, item, function (err) {
+        if (!err && details) {
+          item.status(device, 200, null, details);
+        }
+        callback(err || null, item);
+      });
+    },
+
+    /** Opens a connection to the specified item and notifies when connection
+     * is ready. Encrypted replicas are decrypted while they're read.
+     *
+     * @param {DataStoreItem} item Item to open. Cannot be null.
+     * @param {Object} [options] Read options, they're passed to the wrapped
+     *    device. Can be null.
+     * @param {Object} [options.range] Byte range to read. Can be null.
+     * @param {Function} callback Function invoked to notify when the connection
+     *    is opened. It takes an error and the item as parameters. Cannot be
+     *    null.
+     */
+    get: function (item, options, callback) {
+      var getOptions = options || {};
+      var getCallback = callback;
+      var encryption = findEncryption(item);
+      var bounds;
+
+      if (typeof options === "function") {
+        getOptions = {};
+        getCallback = options;
+      }
+      if (!encryption) {
+        device.get(item, getOptions, getCallback);
+        return;
+      }
+      bounds = getOptions.range && ByteRange.resolve(getOptions.range,
+        encryption.size);
+
+      if (getOptions.range && !bounds) {
+        getCallback(new Error("Range not satisfiable for item " +
+          item.getId() + "."), null);
+        return;
+      }
+
+      unwrapKey(item, encryption, function (err, dataKey) {
+        if (err) {
+          getCallback(err, null);
+          return;
+        }
+
+        // Content is only authenticated as a whole, so the whole replica is
+        // read and the range is taken from the decrypted content.
+        device.get(item, extend({}, getOptions, {
+          range: null
+        }), function (err) {
+          var itemStream = item.stream;
+
+          if (err) {
+            getCallback(err, null);
+            return;
+          }
+          item.range = bounds || null;
+          item.stream = function () {
+            var input = itemStream.call(item);
+            var decipher = crypto.createDecipheriv(ALGORITHM, dataKey,
+              Buffer.from(encryption.iv, "base64"));
+            var filter;
+
+            decipher.setAuthTag(Buffer.from(encryption.tag, "base64"));
+
+            input.on("error", function (err) {
+              decipher.emit("error", err);
+            });
+            input.pipe(decipher);
+
+            if (!bounds) {
+              return decipher;
+            }
+            filter = ByteRange.createFilter(bounds);
+
+            decipher.on("error", function (err) {
+              filter.emit("error", err);
+            });
+            return decipher.pipe(filter);
+          };
+          getCallback(null, item);
+        });
+      });
+    },
+
+    /** Wraps the data key of an item with the current master key of the key
+     * provider. Content is not read nor encrypted again. Items that are not
+     * encrypted in this device are left as they are.
+     *
+     * @param {DataStoreItem} item Item to update. Cannot be null.
+     * @param {Function} callback Callback invoked when the operation has
+     *    finished. It takes an error and the item as parameters. Cannot be
+     *    null.
+     */
+    rotateKey: function (item, callback) {
+      var encryption = findEncryption(item);
+
+      if (!encryption) {
+        callback(null, item);
+        return;
+      }
+      unwrapKey(item, encryption, function (err, dataKey) {
+        if (err) {
+          callback(err, item);
+          return;
+        }
+        keyProvider.wrapKey(dataKey, function (err, keyId, wrappedKey) {
+          var status = item.status(device);
+
+          if (err) {
+            callback(err, item);
+            return;
+          }
+          item.status(device, status.code, status.message,
+            extend({}, status.details, {
+              encryption: extend({}, encryption, {
+                keyId: keyId,
+                key: wrappedKey
+              })
+            }));
+          callback(null, item);
+        });
+      });
+    },
+
+    /** Removes the item from the wrapped device.
+     *
+     * @param {DataStoreItem} item Item to remove. Cannot be null.
+     * @param {Function} callback Callback invoked when the operation has
+     *    finished. It takes an error and the item as parameters. Cannot be
+     *    null.
+     */
+    delete: function (item, callback) {
+      device.delete(item, callback);
+    },
+
+    /** Lists the ids of all items stored in the wrapped device.
+     *
+     * @param {Function} callback Callback that receives the item ids. It takes
+     *    an error and the list of ids as parameters. Cannot be null.
+     */
+    list: function (callback) {
+      device.list(callback);
+    },
+
+    /** Reports the storage used by the wrapped device.
+     *
+     * @param {Function} callback Callback that receives the statistics. It
+     *    takes an error and the statistics as parameters. Cannot be null.
+     */
+    stat: function (callback) {
+      device.stat(callback);
+    },
+
+    /** Determines whether the wrapped device is available or not.
+     * @param {Function} callback Callback invoked to notify whether the device
+     *    is available or not. It takes an error and a boolean as parameters.
+     *    Cannot be null.
+     */
+    ping: function (callback) {
+      device.ping(callback);
+    },
+
+    /** Indicates whether the wrapped device stores content in the local
+     * machine.
+     * @return {Boolean} Returns true if the content is local, false otherwise.
+     */
+    isLocal: function () {
+      return device.isLocal();
+    },
+
+    /** Indicates whether the specified item exists in the wrapped device.
+     *
+     * @param {DataStoreItem} item Item to validate. Cannot be null.
+     * @param {Function} callback Callback to notify whether the item exists or
+     *    not. It takes an error and a boolean as parameters. Cannot be null.
+     */
+    exists: function (item, callback) {
+      device.exists(item, callback);
+    }
+  })), ["rotateKey"]);
+};
@@ -1,8 +1,26 @@
 /** Represents a data store index.
+ *
+ * Asynchronous methods return a promise if the callback is omitted.
+ * Implementations must wrap the overridden methods with
+ * <code>Promises.index()</code> to keep this behaviour.
  */
 module.exports = function Index () {
 
-  return {
+  /** Item ids utility.
+   * @type {Object}
+   * @private
+   * @fieldOf Index#
+   */
+  var ItemId = require("./ItemId");
+
+  /** Utility to support promises.
+   * @type {Object}
+   * @private
+   * @fieldOf Index#
+   */
+  var Promises = require("./Promises");
+
+  return Promises.index({
 
     /** Retrieves a single item from the index.
      *
@@ -14,15 +32,138 @@ module.exports = function Index () {
       throw new Error("Must be implemented by subclasses");
     },
 
+    /** Retrieves all items from the index, including deleted items.
+     *
+     * @param {Function} callback Callback that receives the items. It takes an
+     *    error and the list of items as parameters. Cannot be null.
+     */
+    list: function (callback) {
+      throw new Error("Must be implemented by subclasses");
+    },
+
+    /** Retrieves the namespaces of an item, including deleted namespaces.
+     * Namespaces are the items that share the hash of the specified item,
+     * either because they were saved under the item as parent or because
+     * they were stored with the item hash before parents existed. Legacy ids
+     * match by digest. By default it looks for them in the list of items,
+     * implementations may provide a faster lookup.
+     *
+     * @param {String} id Id of the main item. Cannot be null or empty.
+     * @param {Function} callback Callback that receives the namespaces. It
+     *    takes an error and the list of items as parameters. Cannot be null.
+     */
+    getNamespaces: function (id, callback) {
+      var mainId = ItemId.parse(id);
+
+      this.list(function (err, items) {
+        if (err) {
+          callback(err);
+          return;
+        }
+        callback(null, items.filter(function (item) {
+          var itemId = ItemId.parse(item.getId());
+
+          return itemId.namespace !== null && (itemId.hash === mainId.hash ||
+            (itemId.digest !== null && itemId.digest === mainId.digest &&
+              itemId.algorithm === mainId.algorithm));
+        }));
+      });
+    },
+
     /** Creates a new item and saves it to the index.
      *
      * @param {String} id Unique id for the item. Cannot be null or empty.
      * @param {Object} metadata Item metadata, it's used to initialize the new
-     *    item. Metadata cannot be modified once item is created. Can be null.
+     *    item. It's the first metadata version. Can be null.
+     * @param {Object} [attributes] Additional item information. Can be null.
+     * @param {String} [attributes.hash] Content hash, if it's not the hash in
+     *    the item id. Namespaces saved under a parent item have the parent
+     *    hash in the id.
+     * @param {Number} [attributes.size] Content size in bytes.
+     * @param {String} [attributes.manifest] Hash of the chunk manifest, if
+     *    the content is stored in chunks.
      * @param {Function} callback Callback that receives the new item. It
      *    takes an error and the item as parameters. Cannot be null.
      */
-    createItem: function (id, metadata, callback) {
+    createItem: function (id, metadata, attributes, callback) {
+      throw new Error("Must be implemented by subclasses");
+    },
+
+    /** Updates the metadata of an existing item and creates a new metadata
+     * version. The patch is merged into the current metadata, and attributes
+     * set to null in the patch are removed. Each change is kept in the item
+     * history with the new version number and a timestamp.
+     *
+     * @param {String} id Id of the item to update. Cannot be null or empty.
+     * @param {Object} patch Metadata attributes to change. Cannot be null.
+     * @param {Object} [options] Update options. Can be null.
+     * @param {Number} [options.version] Version the patch is based on. If it's
+     *    set and the item has a different version, the update is rejected.
+     * @param {Number} [options.timestamp] Time of the change, in milliseconds.
+     *    It's used to replicate changes. Default is the current time.
+     * @param {Function} callback Callback that receives the updated item. It
+     *    takes an error and the item as parameters. Cannot be null.
+     */
+    updateMetadata: function (id, patch, options, callback) {
+      throw new Error("Must be implemented by subclasses");
+    },
+
+    /** Adds a reference to an existing item. References are opaque ids, like
+     * the owner of the item, and adding the same reference twice has no
+     * effect.
+     *
+     * @param {String} id Id of the item to reference. Cannot be null or empty.
+     * @param {String} ref Reference to add. Cannot be null or empty.
+     * @param {Function} callback Callback that receives the updated item. It
+     *    takes an error and the item as parameters. Cannot be null.
+     */
+    addRef: function (id, ref, callback) {
+      throw new Error("Must be implemented by subclasses");
+    },
+
+    /** Removes a reference from an existing item. Removing a reference the
+     * item doesn't have is not considered an error.
+     *
+     * @param {String} id Id of the referenced item. Cannot be null or empty.
+     * @param {String} ref Reference to remove. Cannot be null or empty.
+     * @param {Function} callback Callback that receives the updated item. It
+     *    takes an error and the item as parameters. Cannot be null.
+     */
+    removeRef: function (id, ref, callback) {
+      throw new Error("Must be implemented by subclasses");
+    },
+
+    /** Sets the time an existing item expires. Expired items are not
+     * provided by the data store, and they're deleted by the expiry sweep.
+     *
+     * @param {String} id Id of the item to update. Cannot be null or empty.
+     * @param {Number} expiresAt Expiration time, in milliseconds since the
+     *    epoch. If it's null, the item never expires.
+     * @param {Function} callback Callback that receives the updated item. It
+     *    takes an error and the item as parameters. Cannot be null.
+     */
+    setExpiration: function (id, expiresAt, callback) {
+      throw new Error("Must be implemented by subclasses");
+    },
+
+    /** Flags an existing item as deleted. The item remains in the index until
+     * it's purged.
+     *
+     * @param {String} id Id of the item to flag. Cannot be null or empty.
+     * @param {Function} callback Callback invoked when the item is flagged. It
+     *    takes an error as parameter. Cannot be null.
+     */
+    deleteItem: function (id, callback) {
+      throw new Error("Must be implemented by subclasses");
+    },
+
+    /** Removes an item from the index for good.
+     *
+     * @param {String} id Id of the item to remove. Cannot be null or empty.
+     * @param {Function} callback Callback invoked when the item is removed. It
+     *    takes an error as parameter. Cannot be null.
+     */
+    removeItem: function (id, callback) {
       throw new Error("Must be implemented by subclasses");
     },
 
@@ -33,5 +174,5 @@ module.exports = function Index () {
     flush: function (callback) {
       throw new Error("Must be implemented by subclasses");
     }
-  };
+  });
 };
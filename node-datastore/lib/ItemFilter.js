@@ -0,0 +1,61 @@
+/** Creates a predicate to tell whether a device supports an item. It's meant to
+ * be used as the <code>supports()</code> implementation of devices. All the
+ * specified criteria must match for the item to be supported.
+ *
+ * @param {Object} criteria Criteria to match items. Cannot be null.
+ * @param {Number} [criteria.minSize] Minimum item size in bytes, taken from
+ *    the <code>size</code> metadata attribute.
+ * @param {Number} [criteria.maxSize] Maximum item size in bytes, taken from
+ *    the <code>size</code> metadata attribute.
+ * @param {String[]} [criteria.types] Supported mime types, taken from the
+ *    <code>type</code> metadata attribute. Wildcards are supported for
+ *    subtypes, like <code>image/*</code>.
+ * @param {String[]} [criteria.namespaces] Supported namespaces. Use null to
+ *    match main items.
+ * @param {Function} [criteria.match] Custom predicate. It takes the item
+ *    metadata and the item as parameters and it must return a boolean.
+ * @return {Function} Returns a function that takes an item and returns true if
+ *    the item matches the criteria. Never returns null.
+ */
+module.exports = function ItemFilter (criteria) {
+
+  /** Determines whether a mime type matches any of the supported types.
+   * @param {String} type Mime type to check. Can be null.
+   * @return {Boolean} Returns true if the type is supported, false otherwise.
+   * @private
+   * @methodOf ItemFilter#
+   */
+  var matchesType = function (type) {
+    return type && criteria.types.some(function (supportedType) {
+      var wildcard = supportedType.indexOf("/*");
+
+      if (wildcard > -1) {
+        return type.indexOf(supportedType.substr(0, wildcard + 1)) === 0;
+      }
+      return type === supportedType;
+    });
+  };
+
+  return function (item) {
+    var metadata = item.getMetadata() || {};
+    var size = metadata.size;
+
+    if (criteria.minSize !== undefined && !(size >= criteria.minSize)) {
+      return false;
+    }
+    if (criteria.maxSize !== undefined && !(size <= criteria.maxSize)) {
+      return false;
+    }
+    if (criteria.types && !matchesType(metadata.type)) {
+      return false;
+    }
+    if (criteria.namespaces &&
+        criteria.namespaces.indexOf(item.getNamespace()) === -1) {
+      return false;
+    }
+    if (criteria.match && !criteria.match(metadata, item)) {
+      return false;
+    }
+    return true;
+  };
+};
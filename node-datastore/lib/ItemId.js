@@ -0,0 +1,266 @@
+/** Builds and parses item ids. Ids are self-describing: the content hash is
+ * prefixed by the hash function code and the digest length as it's specified
+ * by multihash, and it's encoded as an hexadecimal string. It allows to keep
+ * items hashed with different algorithms in the same data store.
+ *
+ * The namespace, if any, is URI-encoded and appended after a dot. Dots never
+ * appear in the hash, so composite ids can be parsed without ambiguity.
+ *
+ * Legacy ids are plain SHA-256 hexadecimal digests, and namespaces were
+ * appended after an underscore. They're still supported to resolve existing
+ * items.
+ *
+ * @see https://github.com/multiformats/multihash
+ * @namespace
+ */
+module.exports = (function () {
+
+  /** Node crypto API.
+   * @type {Object}
+   * @private
+   * @fieldOf ItemId
+   */
+  var crypto = require("crypto");
+
+  /** Separator between the hash and the namespace.
+   * @constant
+   * @private
+   * @fieldOf ItemId
+   */
+  var NAMESPACE_SEPARATOR = ".";
+
+  /** Separator between the hash and the namespace in legacy ids.
+   * @constant
+   * @private
+   * @fieldOf ItemId
+   */
+  var LEGACY_SEPARATOR = "_";
+
+  /** Matches legacy ids, with or without namespace.
+   * @constant
+   * @private
+   * @fieldOf ItemId
+   */
+  var LEGACY_ID = /^([0-9a-f]{64})(?:_(.+))?$/;
+
+  /** Default hash algorithm.
+   * @constant
+   * @private
+   * @fieldOf ItemId
+   */
+  var DEFAULT_ALGORITHM = "sha256";
+
+  /** Supported hash algorithms. Each algorithm has the multihash code and the
+   * name of the hash function in Node crypto API.
+   * @constant
+   * @private
+   * @fieldOf ItemId
+   */
+  var ALGORITHMS = {
+    sha256: {
+      code: 0x12,
+      hash: "sha256"
+    },
+    sha512: {
+      code: 0x13,
+      hash: "sha512"
+    },
+    blake2: {
+      code: 0xb240,
+      hash: "blake2b512"
+    },
+    md5: {
+      code: 0xd5,
+      hash: "md5"
+    }
+  };
+
+  /** Encodes an unsigned integer as an hexadecimal varint.
+   * @param {Number} value Value to encode. Cannot be null.
+   * @return {String} Returns the encoded value. Never returns null or empty.
+   * @private
+   * @methodOf ItemId
+   */
+  var encodeVarint = function (value) {
+    var bytes = [];
+    var remaining = value;
+
+    do {
+      bytes.push((remaining & 0x7f) | (remaining > 0x7f ? 0x80 : 0));
+      remaining = remaining >>> 7;
+    } while (remaining > 0);
+
+    return Buffer.from(bytes).toString("hex");
+  };
+
+  /** Decodes an hexadecimal varint at the specified position.
+   * @param {String} hex Hexadecimal string to read. Cannot be null.
+   * @param {Number} offset Position of the varint in the string. Cannot be
+   *    null.
+   * @return {Object} Returns an object with the decoded value and the
+   *    position after the varint, or null if the varint is not valid.
+   * @private
+   * @methodOf ItemId
+   */
+  var decodeVarint = function (hex, offset) {
+    var value = 0;
+    var shift = 0;
+    var position = offset;
+    var octet;
+
+    do {
+      octet = parseInt(hex.substr(position, 2), 16);
+
+      if (isNaN(octet) || shift > 21) {
+        return null;
+      }
+      value += (octet & 0x7f) * Math.pow(2, shift);
+      shift += 7;
+      position += 2;
+    } while (octet & 0x80);
+
+    return {
+      value: value,
+      next: position
+    };
+  };
+
+  /** Returns the algorithm that matches a multihash code.
+   * @param {Number} code Multihash code. Cannot be null.
+   * @return {String} Returns the algorithm name, or null if the code is not
+   *    supported.
+   * @private
+   * @methodOf ItemId
+   */
+  var findAlgorithm = function (code) {
+    var name;
+
+    for (name in ALGORITHMS) {
+      if (ALGORITHMS.hasOwnProperty(name) && ALGORITHMS[name].code === code) {
+        return name;
+      }
+    }
+    return null;
+  };
+
+  return {
+
+    /** Default hash algorithm.
+     * @type {String}
+     */
+    DEFAULT_ALGORITHM: DEFAULT_ALGORITHM,
+
+    /** Determines whether the specified hash algorithm is supported.
+     * @param {String} algorithm Algorithm name. Cannot be null.
+     * @return {Boolean} Returns true if the algorithm is supported, false
+     *    otherwise.
+     */
+    isSupported: function (algorithm) {
+      return ALGORITHMS.hasOwnProperty(algorithm);
+    },
+
+    /** Creates a hash to generate ids from content.
+     *
+     * @param {String} [algorithm] Hash algorithm. It must be one of
+     *    <code>sha256</code>, <code>sha512</code>, <code>blake2</code> or
+     *    <code>md5</code>. Default is <code>sha256</code>.
+     * @return {Object} Returns an object with an <code>update(chunk)</code>
+     *    method to hash content and a <code>digest()</code> method that
+     *    returns the self-describing hash. Never returns null.
+     */
+    createHash: function (algorithm) {
+      var spec = ALGORITHMS[algorithm || DEFAULT_ALGORITHM];
+      var hash;
+
+      if (!spec) {
+        throw new Error("Hash algorithm not supported: " + algorithm);
+      }
+      hash = crypto.createHash(spec.hash);
+
+      return {
+        update: function (chunk) {
+          hash.update(chunk);
+        },
+        digest: function () {
+          var digest = hash.digest();
+
+          return encodeVarint(spec.code) + encodeVarint(digest.length) +
+            digest.toString("hex");
+        }
+      };
+    },
+
+    /** Composes a valid item id from its hash and the namespace.
+     * @param {String} hash Self-describing content hash. Cannot be null or
+     *    empty.
+     * @param {String} [namespace] Item namespace. Can be null.
+     * @return {String} Returns the item composite id. Never returns null or
+     *    empty.
+     */
+    compose: function (hash, namespace) {
+      var id = hash;
+
+      if (namespace) {
+        id += NAMESPACE_SEPARATOR + encodeURIComponent(namespace);
+      }
+      return id;
+    },
+
+    /** Composes an item id as it was built by previous versions. It's used to
+     * resolve items saved with legacy ids.
+     *
+     * @param {String} hash Legacy content hash. Cannot be null or empty.
+     * @param {String} [namespace] Item namespace. Can be null.
+     * @return {String} Returns the legacy composite id, or null if the hash
+     *    is not a legacy hash.
+     */
+    composeLegacy: function (hash, namespace) {
+      var id = hash;
+
+      if (!LEGACY_ID.test(hash)) {
+        return null;
+      }
+      if (namespace) {
+        id += LEGACY_SEPARATOR + namespace;
+      }
+      return id;
+    },
+
+    /** Parses an item id.
+     *
+     * @param {String} id Item id to parse. Cannot be null or empty.
+     * @return {Object} Returns an object with the <code>hash</code>, the
+     *    <code>namespace</code>, the <code>algorithm</code>, the hexadecimal
+     *    <code>digest</code> and a <code>legacy</code> flag. The algorithm is
+     *    null if it's unknown. Never returns null.
+     */
+    parse: function (id) {
+      var legacy = LEGACY_ID.exec(id);
+      var separator = id.indexOf(NAMESPACE_SEPARATOR);
+      var hash = separator > -1 ? id.substr(0, separator) : id;
+      var code;
+      var length;
+
+      if (legacy) {
+        return {
+          hash: legacy[1],
+          namespace: legacy[2] || null,
+          algorithm: DEFAULT_ALGORITHM,
+          digest: legacy[1],
+          legacy: true
+        };
+      }
+      code = decodeVarint(hash, 0);
+      length = code && decodeVarint(hash, code.next);
+
+      return {
+        hash: hash,
+        namespace: separator > -1 ?
+          decodeURIComponent(id.substr(separator + 1)) : null,
+        algorithm: length ? findAlgorithm(code.value) : null,
+        digest: length ? hash.substr(length.next) : null,
+        legacy: false
+      };
+    }
+  };
+}());
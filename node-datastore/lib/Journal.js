@@ -0,0 +1,81 @@
+/** Represents a write-ahead journal of data store operations. Operations are
+ * recorded before they change devices or the index, and they're flagged as
+ * finished once both are consistent. Operations that are still pending when
+ * the data store starts were interrupted, so the data store replays or rolls
+ * them back.
+ *
+ * Asynchronous methods return a promise if the callback is omitted.
+ * Implementations must wrap the overridden methods with
+ * <code>Promises.journal()</code> to keep this behaviour.
+ */
+module.exports = function Journal () {
+
+  /** Utility to support promises.
+   * @type {Object}
+   * @private
+   * @fieldOf Journal#
+   */
+  var Promises = require("./Promises");
+
+  return Promises.journal({
+
+    /** Records the intent of an operation. The operation must be durable
+     * when the callback is invoked.
+     *
+     * @param {Object} operation Operation to record. It has the operation
+     *    <code>type</code> and the data required to recover it. It must be
+     *    serializable as JSON. Cannot be null.
+     * @param {Function} callback Callback that receives the id of the journal
+     *    entry. It takes an error and the entry id as parameters. Cannot be
+     *    null.
+     */
+    begin: function (operation, callback) {
+      throw new Error("Must be implemented by subclasses");
+    },
+
+    /** Records the progress of a pending operation. The data is merged into
+     * the recorded operation.
+     *
+     * @param {String} id Id of the journal entry. Cannot be null or empty.
+     * @param {Object} data Data to add to the operation. It must be
+     *    serializable as JSON. Cannot be null.
+     * @param {Function} callback Callback invoked when the data is recorded.
+     *    It takes an error as parameter. Cannot be null.
+     */
+    update: function (id, data, callback) {
+      throw new Error("Must be implemented by subclasses");
+    },
+
+    /** Flags an operation as finished. Finished operations are not recovered.
+     *
+     * @param {String} id Id of the journal entry. Cannot be null or empty.
+     * @param {Function} callback Callback invoked when the operation is
+     *    flagged. It takes an error as parameter. Cannot be null.
+     */
+    end: function (id, callback) {
+      throw new Error("Must be implemented by subclasses");
+    },
+
+    /** Retrieves the operations that were not finished, in the order they
+     * were recorded.
+     *
+     * @param {Function} callback Callback that receives the operations. It
+     *    takes an error and the list of operations as parameters. Each
+     *    operation has the entry <code>id</code> along with the recorded
+     *    data. Cannot be null.
+     */
+    pending: function (callback) {
+      throw new Error("Must be implemented by subclasses");
+    },
+
+    /** Closes the journal once the pending records are durable. Operations
+     * can't be recorded after the journal is closed.
+     *
+     * @param {Function} callback Callback invoked when the journal is
+     *    closed. It takes an error as parameter. Cannot be null.
+     */
+    close: function (callback) {
+      throw new Error("Must be implemented by subclasses");
+    }
+  });
+};
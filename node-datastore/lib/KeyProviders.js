@@ -0,0 +1,153 @@
+/** Key providers for the {@link EncryptedDevice}. A key provider protects the
+ * data keys used to encrypt each item by wrapping them with a master key, so
+ * master keys never leave the provider and may live in an external key
+ * management service.
+ *
+ * A key provider is an object with the following methods:
+ *
+ * <ul>
+ *   <li><code>wrapKey(dataKey, callback)</code>: wraps a data key with the
+ *   current master key. The callback takes an error, the id of the master key
+ *   and the wrapped key as a String.</li>
+ *   <li><code>unwrapKey(keyId, wrappedKey, callback)</code>: unwraps a data
+ *   key with the specified master key. The callback takes an error and the
+ *   data key as a Buffer.</li>
+ * </ul>
+ *
+ * @namespace
+ */
+module.exports = (function () {
+
+  /** Node crypto API.
+   * @type {Object}
+   * @private
+   * @fieldOf KeyProviders
+   */
+  var crypto = require("crypto");
+
+  /** Algorithm used to wrap data keys.
+   * @constant
+   * @private
+   * @fieldOf KeyProviders
+   */
+  var WRAP_ALGORITHM = "aes-256-gcm";
+
+  /** Size of master keys in bytes.
+   * @constant
+   * @private
+   * @fieldOf KeyProviders
+   */
+  var KEY_SIZE = 32;
+
+  /** Size of the initialization vector used to wrap keys, in bytes.
+   * @constant
+   * @private
+   * @fieldOf KeyProviders
+   */
+  var IV_SIZE = 12;
+
+  /** Size of the authentication tag of wrapped keys, in bytes.
+   * @constant
+   * @private
+   * @fieldOf KeyProviders
+   */
+  var TAG_SIZE = 16;
+
+  /** Converts a master key to a Buffer and validates its size.
+   * @param {String} keyId Id of the master key. Cannot be null.
+   * @param {Buffer|String} key Master key, either a Buffer or a hex String.
+   *    Cannot be null.
+   * @return {Buffer} Returns the master key. Never returns null.
+   * @private
+   * @methodOf KeyProviders
+   */
+  var toKey = function (keyId, key) {
+    var buffer = Buffer.isBuffer(key) ? key : Buffer.from(String(key), "hex");
+
+    if (buffer.length !== KEY_SIZE) {
+      throw new Error("Master key " + keyId + " must have " + KEY_SIZE +
+        " bytes.");
+    }
+    return buffer;
+  };
+
+  /** Creates a provider that keeps master keys in memory. Data keys are
+   * wrapped with AES-256-GCM, and the master key id is authenticated along
+   * with the wrapped key.
+   *
+   * To rotate the master key, add a new key with <code>rotate()</code> and
+   * re-wrap the data keys of existing items with
+   * <code>DataStore#rotateKeys()</code>. Old master keys must be kept until
+   * all data keys are re-wrapped.
+   *
+   * @param {Object} keys Master keys by id. Each key is a Buffer or a hex
+   *    String of 32 bytes. Cannot be null.
+   * @param {String} currentKeyId Id of the master key used to wrap new data
+   *    keys. Cannot be null.
+   * @return {Object} Returns the key provider. Never returns null.
+   * @methodOf KeyProviders
+   */
+  var memory = function (keys, currentKeyId) {
+    var masterKeys = {};
+
+    Object.keys(keys || {}).forEach(function (keyId) {
+      masterKeys[keyId] = toKey(keyId, keys[keyId]);
+    });
+
+    if (!masterKeys.hasOwnProperty(currentKeyId)) {
+      throw new Error("Master key not found: " + currentKeyId);
+    }
+
+    return {
+      wrapKey: function (dataKey, callback) {
+        var iv = crypto.randomBytes(IV_SIZE);
+        var cipher = crypto.createCipheriv(WRAP_ALGORITHM,
+          masterKeys[currentKeyId], iv);
+        var wrappedKey;
+
+        cipher.setAAD(Buffer.from(currentKeyId));
+        wrappedKey = Buffer.concat([iv, cipher.update(dataKey),
+          cipher.final(), cipher.getAuthTag()]);
+
+        callback(null, currentKeyId, wrappedKey.toString("base64"));
+      },
+
+      unwrapKey: function (keyId, wrappedKey, callback) {
+        var data = Buffer.from(wrappedKey, "base64");
+        var decipher;
+        var dataKey;
+
+        if (!masterKeys.hasOwnProperty(keyId)) {
+          callback(new Error("Master key not found: " + keyId), null);
+          return;
+        }
+        try {
+          decipher = crypto.createDecipheriv(WRAP_ALGORITHM, masterKeys[keyId],
+            data.slice(0, IV_SIZE));
+          decipher.setAAD(Buffer.from(keyId));
+          decipher.setAuthTag(data.slice(data.length - TAG_SIZE));
+          dataKey = Buffer.concat([decipher.update(data.slice(IV_SIZE,
+            data.length - TAG_SIZE)), decipher.final()]);
+        } catch (err) {
+          callback(new Error("Data key cannot be unwrapped with master key " +
+            keyId + "."), null);
+          return;
+        }
+        callback(null, dataKey);
+      },
+
+      /** Adds a master key and uses it to wrap new data keys.
+       * @param {String} keyId Id of the new master key. Cannot be null.
+       * @param {Buffer|String} key New master key. Cannot be null.
+       */
+      rotate: function (keyId, key) {
+        masterKeys[keyId] = toKey(keyId, key);
+        currentKeyId = keyId;
+      }
+    };
+  };
+
+  return {
+    memory: memory
+  };
+}());
@@ -0,0 +1,196 @@
+/** Adds promise support to callback-based APIs. Wrapped methods keep working
+ * with callbacks, and they return a promise when the callback is omitted. The
+ * promise is resolved with the first result of the callback, or rejected with
+ * the error.
+ *
+ * Predicates like <code>Device.ping()</code> and <code>Device.exists()</code>
+ * call back with an error and a boolean, as the rest of the API. Devices
+ * written for previous versions call back only with the boolean, so wrapped
+ * predicates translate it to an error-first response.
+ *
+ * @namespace
+ */
+module.exports = (function () {
+
+  /** Asynchronous methods of the data store.
+   * @constant
+   * @private
+   * @fieldOf Promises
+   */
+  var DATA_STORE_METHODS = ["save", "get", "getNamespaces", "updateMetadata",
+    "addRef", "removeRef", "delete", "deleteAll", "sync", "scrub",
+    "rotateKeys", "purge", "expire", "stat", "close"];
+
+  /** Asynchronous methods of the index contract.
+   * @constant
+   * @private
+   * @fieldOf Promises
+   */
+  var INDEX_METHODS = ["getItem", "list", "getNamespaces", "createItem",
+    "updateMetadata", "addRef", "removeRef", "setExpiration", "deleteItem",
+    "removeItem", "flush"];
+
+  /** Asynchronous methods of the journal contract.
+   * @constant
+   * @private
+   * @fieldOf Promises
+   */
+  var JOURNAL_METHODS = ["begin", "update", "end", "pending", "close"];
+
+  /** Asynchronous methods of the device contract.
+   * @constant
+   * @private
+   * @fieldOf Promises
+   */
+  var DEVICE_METHODS = ["put", "commit", "get", "delete", "list", "stat"];
+
+  /** Device methods that call back with an error and a boolean.
+   * @constant
+   * @private
+   * @fieldOf Promises
+   */
+  var DEVICE_PREDICATES = ["ping", "exists"];
+
+  /** Creates the callback of a predicate. Implementations that call back
+   * only with a boolean are translated to an error-first response.
+   *
+   * @param {Function} callback Error-first callback to invoke. Cannot be
+   *    null.
+   * @return {Function} Returns the callback for the predicate. Never returns
+   *    null.
+   * @private
+   * @methodOf Promises
+   */
+  var predicateCallback = function (callback) {
+    return function (err, result) {
+      if (typeof err === "boolean") {
+        callback(null, err);
+      } else if (err) {
+        callback(err, false);
+      } else {
+        callback(null, result === true);
+      }
+    };
+  };
+
+  /** Wraps a callback-based method to support promises.
+   *
+   * @param {Function} method Method to wrap. The callback must be the last
+   *    parameter. Cannot be null.
+   * @param {Boolean} [predicate] Indicates whether the method is a predicate
+   *    that calls back with a boolean. Default is false.
+   * @return {Function} Returns the wrapped method. Never returns null.
+   * @methodOf Promises
+   */
+  var wrap = function (method, predicate) {
+    var wrapper;
+
+    if (method.promised) {
+      return method;
+    }
+
+    wrapper = function () {
+      var context = this;
+      var args = Array.prototype.slice.call(arguments);
+      var callback = args[args.length - 1];
+
+      if (typeof callback === "function") {
+        if (predicate) {
+          args[args.length - 1] = predicateCallback(callback);
+        }
+        return method.apply(context, args);
+      }
+
+      // The callback goes in its own position, optional parameters are
+      // omitted.
+      args = args.slice(0, Math.max(method.length - 1, 0));
+
+      while (args.length < method.length - 1) {
+        args.push(undefined);
+      }
+
+      return new Promise(function (resolve, reject) {
+        var settle = function (err, result) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(result);
+          }
+        };
+
+        method.apply(context, args.concat(predicate ?
+          predicateCallback(settle) : settle));
+      });
+    };
+    wrapper.promised = true;
+
+    return wrapper;
+  };
+
+  /** Wraps the specified methods of an object to support promises. Methods
+   * that are not defined or that are already wrapped are ignored.
+   *
+   * @param {Object} object Object to update. Cannot be null.
+   * @param {String[]} methods Names of the methods to wrap. Cannot be null.
+   * @param {String[]} [predicates] Names of the methods that call back with an
+   *    error and a boolean. Can be null.
+   * @return {Object} Returns the same object. Never returns null.
+   * @methodOf Promises
+   */
+  var api = function (object, methods, predicates) {
+    methods.forEach(function (name) {
+      if (typeof object[name] === "function") {
+        object[name] = wrap(object[name], false);
+      }
+    });
+    (predicates || []).forEach(function (name) {
+      if (typeof object[name] === "function") {
+        object[name] = wrap(object[name], true);
+      }
+    });
+    return object;
+  };
+
+  return {
+    wrap: wrap,
+    api: api,
+
+    /** Adds promise support to a data store.
+     * @param {DataStore} dataStore Data store to update. Cannot be null.
+     * @return {DataStore} Returns the same data store. Never returns null.
+     */
+    dataStore: function (dataStore) {
+      return api(dataStore, DATA_STORE_METHODS);
+    },
+
+    /** Adds promise support to an index. Index implementations must call it
+     * after overriding the contract methods.
+     *
+     * @param {Index} index Index to update. Cannot be null.
+     * @return {Index} Returns the same index. Never returns null.
+     */
+    index: function (index) {
+      return api(index, INDEX_METHODS);
+    },
+
+    /** Adds promise support to a journal. Journal implementations must call
+     * it after overriding the contract methods.
+     *
+     * @param {Journal} journal Journal to update. Cannot be null.
+     * @return {Journal} Returns the same journal. Never returns null.
+     */
+    journal: function (journal) {
+      return api(journal, JOURNAL_METHODS);
+    },
+
+    /** Adds promise support to a device. Device implementations must call it
+     * after overriding the contract methods.
+     *
+     * @param {Device} device Device to update. Cannot be null.
+     * @return {Device} Returns the same device. Never returns null.
+     */
+    device: function (device) {
+      return api(device, DEVICE_METHODS, DEVICE_PREDICATES);
+    }
+  };
+}());
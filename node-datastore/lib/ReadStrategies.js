@@ -0,0 +1,157 @@
+/** Strategies to choose the device an item is read from. A strategy sorts the
+ * data store devices by preference, and the data store tries them in that
+ * order until a device provides the item. Strategies may also receive the
+ * time each device takes to answer a <code>ping()</code> request.
+ *
+ * A strategy is an object with the following methods:
+ *
+ * <ul>
+ *   <li><code>order(devices, item)</code>: returns the devices sorted by
+ *   preference to read the specified item. It must not modify the provided
+ *   list.</li>
+ *   <li><code>measure(device, elapsed)</code>: optional, it receives the time
+ *   in milliseconds a device took to answer a ping.</li>
+ * </ul>
+ *
+ * @namespace
+ */
+module.exports = (function () {
+
+  /** Weight of the last measure in the average latency of a device.
+   * @constant
+   * @private
+   * @fieldOf ReadStrategies
+   */
+  var LATENCY_WEIGHT = 0.3;
+
+  /** Creates a strategy that reads from devices in the same order they were
+   * provided to the data store.
+   * @return {Object} Returns the strategy. Never returns null.
+   * @methodOf ReadStrategies
+   */
+  var priority = function () {
+    return {
+      order: function (devices) {
+        return devices.slice();
+      }
+    };
+  };
+
+  /** Creates a strategy that rotates the first device on each read, so reads
+   * are balanced between devices.
+   * @return {Object} Returns the strategy. Never returns null.
+   * @methodOf ReadStrategies
+   */
+  var roundRobin = function () {
+    var next = 0;
+
+    return {
+      order: function (devices) {
+        var start = devices.length ? next % devices.length : 0;
+
+        next = start + 1;
+
+        return devices.slice(start).concat(devices.slice(0, start));
+      }
+    };
+  };
+
+  /** Creates a strategy that prefers the device with the lowest average ping
+   * time. Devices that were never measured are tried first in order to
+   * measure them.
+   * @return {Object} Returns the strategy. Never returns null.
+   * @methodOf ReadStrategies
+   */
+  var latency = function () {
+    var latencies = {};
+    var latencyOf = function (device) {
+      return latencies[device.getId()] || 0;
+    };
+
+    return {
+      order: function (devices) {
+        return devices.map(function (device, position) {
+          return {
+            device: device,
+            position: position
+          };
+        }).sort(function (entry1, entry2) {
+          return (latencyOf(entry1.device) - latencyOf(entry2.device)) ||
+            (entry1.position - entry2.position);
+        }).map(function (entry) {
+          return entry.device;
+        });
+      },
+      measure: function (device, elapsed) {
+        var average = latencies[device.getId()];
+
+        if (average === undefined) {
+          latencies[device.getId()] = elapsed;
+        } else {
+          latencies[device.getId()] = average * (1 - LATENCY_WEIGHT) +
+            elapsed * LATENCY_WEIGHT;
+        }
+      }
+    };
+  };
+
+  /** Creates a strategy that prefers devices that store content in the local
+   * machine. Local devices keep the order they were provided to the data
+   * store, and so do remote devices.
+   * @return {Object} Returns the strategy. Never returns null.
+   * @methodOf ReadStrategies
+   */
+  var localFirst = function () {
+    var isLocal = function (device) {
+      return typeof device.isLocal === "function" && device.isLocal();
+    };
+
+    return {
+      order: function (devices) {
+        return devices.filter(isLocal).concat(devices.filter(function (device) {
+          return !isLocal(device);
+        }));
+      }
+    };
+  };
+
+  /** Mapping from strategy names to factories.
+   * @constant
+   * @private
+   * @fieldOf ReadStrategies
+   */
+  var STRATEGIES = {
+    priority: priority,
+    roundRobin: roundRobin,
+    latency: latency,
+    localFirst: localFirst
+  };
+
+  return {
+    priority: priority,
+    roundRobin: roundRobin,
+    latency: latency,
+    localFirst: localFirst,
+
+    /** Resolves a strategy from the data store options.
+     *
+     * @param {String|Object} [strategy] Either a strategy name or a strategy
+     *    object. Names could be <code>priority</code>,
+     *    <code>roundRobin</code>, <code>latency</code> or
+     *    <code>localFirst</code>. Default is <code>priority</code>.
+     * @return {Object} Returns a valid strategy. Never returns null.
+     */
+    resolve: function (strategy) {
+      if (!strategy) {
+        return priority();
+      }
+      if (typeof strategy === "object") {
+        return strategy;
+      }
+      if (!STRATEGIES.hasOwnProperty(strategy)) {
+        throw new Error("Read strategy not supported: " + strategy);
+      }
+      return STRATEGIES[strategy]();
+    }
+  };
+}());
@@ -0,0 +1,64 @@
+var assert = require("assert");
+var fs = require("fs");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore capacity", function () {
+  var fixture;
+
+  beforeEach(function () {
+    fixture = Fixtures.create({
+      quotas: {
+        d1: 10
+      }
+    });
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("reports the usage of each device", function () {
+    return fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    }).then(function () {
+      return fixture.store.stat();
+    }).then(function (usage) {
+      assert.strictEqual(usage.devices.d0.used, 7);
+      assert.strictEqual(usage.devices.d0.items, 1);
+      assert.strictEqual(usage.devices.d0.quota, null);
+      assert.strictEqual(usage.devices.d1.quota, 10);
+      assert.strictEqual(usage.used, 14);
+      assert.strictEqual(usage.items, 2);
+    });
+  });
+
+  it("skips devices that reached their quota", function (done) {
+    fixture.store.save(Fixtures.source("more than ten bytes"), null, {
+      name: "foo"
+    }, function (err, item, report) {
+      assert.ok(/Replication policy not met/.test(err.message));
+      assert.strictEqual(report.devices.d0.code, 200);
+      assert.strictEqual(report.devices.d1.code, 507);
+      assert.ok(!fs.existsSync(fixture.devices[1].getFile(item)));
+      done();
+    });
+  });
+
+  it("reports devices that fail to provide statistics", function () {
+    fixture.devices[0].stat = function (callback) {
+      callback(new Error("Device failed."));
+    };
+
+    return fixture.store.stat().then(function (usage) {
+      assert.deepStrictEqual(usage.devices.d0, {
+        error: "Device failed."
+      });
+      assert.strictEqual(usage.items, 0);
+      assert.strictEqual(fixture.errors[0].type, "stat");
+    });
+  });
+});
@@ -0,0 +1,131 @@
+var assert = require("assert");
+var crypto = require("crypto");
+var fs = require("fs");
+var path = require("path");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore chunking", function () {
+  var fixture;
+  var content;
+  var modified;
+
+  /** Counts the files stored in the first device.
+   * @return {Number} Returns the number of files. Never returns null.
+   */
+  var countFiles = function () {
+    var dir = path.join(fixture.dir, "d0");
+
+    return fs.readdirSync(dir, {
+      recursive: true
+    }).filter(function (file) {
+      return fs.statSync(path.join(dir, file)).isFile();
+    }).length;
+  };
+
+  /** Reads an item as a buffer.
+   * @param {DataStoreItem} item Item to read. Cannot be null.
+   * @return {Promise} Returns a promise resolved with the content.
+   */
+  var readBuffer = function (item) {
+    return new Promise(function (resolve, reject) {
+      var chunks = [];
+
+      item.stream().on("data", function (chunk) {
+        chunks.push(chunk);
+      }).on("error", reject).on("end", function () {
+        resolve(Buffer.concat(chunks));
+      });
+    });
+  };
+
+  beforeEach(function () {
+    content = crypto.randomBytes(256 * 1024);
+    modified = Buffer.concat([content.slice(0, 100000), Buffer.from("hello"),
+      content.slice(100000)]);
+    fixture = Fixtures.create({
+      chunking: {
+        minSize: 1024,
+        averageSize: 4096,
+        maxSize: 16384
+      }
+    });
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("stores items in chunks and reassembles them", function () {
+    return fixture.store.save(Fixtures.source(content), null, {
+      name: "big"
+    }).then(function (item) {
+      assert.ok(item.getManifest());
+      assert.strictEqual(item.getSize(), content.length);
+      assert.ok(countFiles() > 10);
+      return fixture.store.get(item.getId(), null);
+    }).then(readBuffer).then(function (data) {
+      assert.ok(data.equals(content));
+    });
+  });
+
+  it("shares chunks between similar items", function () {
+    var files;
+
+    return fixture.store.save(Fixtures.source(content), null, {
+      name: "first"
+    }).then(function () {
+      files = countFiles();
+      return fixture.store.save(Fixtures.source(modified), null, {
+        name: "second"
+      });
+    }).then(function (item) {
+      // Only the chunks around the change and the manifest are new.
+      assert.ok(countFiles() - files < 6);
+      return fixture.store.get(item.getId(), null, {
+        range: {
+          start: 99990,
+          end: 100100
+        }
+      });
+    }).then(readBuffer).then(function (data) {
+      assert.ok(data.equals(modified.slice(99990, 100101)));
+    });
+  });
+
+  it("purges chunks no item references", function () {
+    var first;
+    var second;
+
+    return fixture.store.save(Fixtures.source(content), null, {
+      name: "first"
+    }).then(function (item) {
+      first = item;
+      return fixture.store.save(Fixtures.source(modified), null, {
+        name: "second"
+      });
+    }).then(function (item) {
+      second = item;
+      return fixture.store.delete(first.getId(), null);
+    }).then(function () {
+      return fixture.store.purge();
+    }).then(function (report) {
+      assert.ok(report.purged.length > 1);
+      return fixture.store.get(second.getId(), null);
+    }).then(readBuffer).then(function (data) {
+      assert.ok(data.equals(modified));
+    });
+  });
+
+  it("doesn't save items under the chunk namespace", function () {
+    return fixture.store.save(Fixtures.source("content"), "$chunk",
+      {}).then(function () {
+      assert.fail("Chunk was saved.");
+    }, function (err) {
+      assert.ok(/is reserved/.test(err.message));
+    });
+  });
+});
@@ -0,0 +1,99 @@
+var assert = require("assert");
+var fs = require("fs");
+var CompressedDevice = require("../lib/CompressedDevice");
+var Fixtures = require("./support/Fixtures");
+
+describe("CompressedDevice", function () {
+  var fixture;
+  var raw;
+  var content;
+
+  beforeEach(function () {
+    var dir = Fixtures.createDir();
+    var i;
+
+    content = "";
+    for (i = 0; i < 2000; i++) {
+      content += JSON.stringify({
+        id: i,
+        name: "item " + i
+      }) + "\n";
+    }
+    raw = Fixtures.createDevices(dir, 1)[0];
+    fixture = Fixtures.open(dir, [new CompressedDevice(raw, {
+      algorithm: "brotli"
+    })]);
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("compresses content and keeps the original size", function () {
+    var item;
+
+    return fixture.store.save(Fixtures.source(content), null, {
+      type: "application/json"
+    }).then(function (savedItem) {
+      item = savedItem;
+      assert.ok(fs.statSync(raw.getFile(item)).size < content.length / 4);
+      assert.deepStrictEqual(item.status(raw).details.compression, {
+        algorithm: "brotli",
+        size: content.length
+      });
+      return fixture.store.get(item.getId(), null);
+    }).then(Fixtures.read).then(function (data) {
+      assert.strictEqual(data, content);
+      return fixture.store.get(item.getId(), null, {
+        range: {
+          start: 1000,
+          end: 1999
+        }
+      });
+    }).then(Fixtures.read).then(function (data) {
+      assert.strictEqual(data, content.slice(1000, 2000));
+    });
+  });
+
+  it("stores compressed types as they are", function () {
+    return fixture.store.save(Fixtures.source(content), null, {
+      type: "image/jpeg"
+    }).then(function (item) {
+      assert.strictEqual(fs.statSync(raw.getFile(item)).size, content.length);
+      assert.ok(!item.status(raw).details ||
+        !item.status(raw).details.compression);
+    });
+  });
+
+  it("reads replicas stored before the device was wrapped", function () {
+    var dir = fixture.dir;
+    var item;
+
+    return fixture.store.close().then(function () {
+      fixture = Fixtures.open(dir, [raw]);
+      return fixture.store.save(Fixtures.source("plain"), null, {
+        type: "text/plain"
+      });
+    }).then(function (savedItem) {
+      item = savedItem;
+      return fixture.store.close();
+    }).then(function () {
+      fixture = Fixtures.open(dir, [new CompressedDevice(raw)]);
+      return fixture.store.get(item.getId(), null);
+    }).then(Fixtures.read).then(function (data) {
+      assert.strictEqual(data, "plain");
+    });
+  });
+
+  it("rejects unsupported algorithms", function () {
+    assert.throws(function () {
+      return new CompressedDevice(raw, {
+        algorithm: "lzma"
+      });
+    }, /Compression algorithm not supported: lzma/);
+  });
+});
@@ -0,0 +1,126 @@
+var assert = require("assert");
+var stream = require("stream");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore concurrency", function () {
+  var fixture;
+  var active;
+  var peak;
+  var maxDepth;
+
+  /** Delays the writes of each device and records the peak of writes
+   * running at the same time, and the peak of the save queue depth.
+   */
+  var trackWrites = function () {
+    fixture.devices.forEach(function (device) {
+      var put = device.put;
+      var id = device.getId();
+
+      active[id] = 0;
+      peak[id] = 0;
+      device.put = function (item, callback) {
+        active[id] += 1;
+        peak[id] = Math.max(peak[id], active[id]);
+        maxDepth = Math.max(maxDepth, fixture.store.getQueueDepth());
+        setTimeout(function () {
+          put.call(device, item, function (err, provisionalItem) {
+            active[id] -= 1;
+            callback(err, provisionalItem);
+          });
+        }, 20);
+      };
+    });
+  };
+
+  /** Saves several items at once.
+   * @param {Number} count Number of items to save. Cannot be null.
+   * @param {Function} [createSource] Function that returns the source of
+   *    each item. It takes the item number as parameter. Can be null.
+   * @return {Promise} Returns a promise resolved when all items are saved.
+   */
+  var saveAll = function (count, createSource) {
+    var saves = [];
+    var i;
+
+    for (i = 0; i < count; i++) {
+      saves.push(fixture.store.save((createSource || Fixtures.source)(
+        "content " + i), null, {
+        name: "item " + i
+      }));
+    }
+    return Promise.all(saves);
+  };
+
+  beforeEach(function () {
+    active = {};
+    peak = {};
+    maxDepth = 0;
+    fixture = Fixtures.create({
+      maxConcurrentSaves: 3,
+      maxDeviceWrites: 2
+    });
+    trackWrites();
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("limits the saves and writes running at the same time", function () {
+    var drains = 0;
+
+    fixture.store.on("save:drain", function () {
+      drains += 1;
+    });
+
+    return saveAll(10).then(function (items) {
+      assert.strictEqual(items.length, 10);
+      assert.strictEqual(maxDepth, 7);
+      assert.strictEqual(peak.d0, 2);
+      assert.strictEqual(peak.d1, 2);
+      assert.strictEqual(drains, 1);
+      assert.strictEqual(fixture.store.getQueueDepth(), 0);
+    });
+  });
+
+  it("opens stream factories when the save starts", function () {
+    var open = 0;
+    var maxOpen = 0;
+
+    return saveAll(10, function (content) {
+      return function () {
+        var input = new stream.PassThrough();
+
+        open += 1;
+        maxOpen = Math.max(maxOpen, open);
+        input.on("end", function () {
+          open -= 1;
+        });
+        setTimeout(function () {
+          input.end(content);
+        }, 5);
+        return input;
+      };
+    }).then(function (items) {
+      assert.strictEqual(items.length, 10);
+      assert.ok(maxOpen <= 3);
+      return fixture.store.get(items[9].getId(), null);
+    }).then(Fixtures.read).then(function (content) {
+      assert.strictEqual(content, "content 9");
+    });
+  });
+
+  it("doesn't queue saves without a limit", function () {
+    return fixture.store.close().then(function () {
+      fixture = Fixtures.open(fixture.dir, fixture.devices);
+      return saveAll(5);
+    }).then(function (items) {
+      assert.strictEqual(items.length, 5);
+      assert.strictEqual(maxDepth, 0);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+var assert = require("assert");
+var fs = require("fs");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore#save deduplication", function () {
+  var fixture;
+  var commits;
+
+  /** Saves content and resolves with the item and the save report.
+   * @param {String} content Content to save. Cannot be null.
+   * @param {Object} metadata Item metadata. Cannot be null.
+   * @param {Object} [options] Save options. Can be null.
+   * @return {Promise} Returns a promise resolved with the item and the
+   *    report.
+   */
+  var save = function (content, metadata, options) {
+    return new Promise(function (resolve, reject) {
+      fixture.store.save(Fixtures.source(content), null, metadata,
+        options || {}, function (err, item, report) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({
+              item: item,
+              report: report
+            });
+          }
+        });
+    });
+  };
+
+  beforeEach(function () {
+    commits = 0;
+    fixture = Fixtures.create();
+    fixture.devices.forEach(function (device) {
+      var commit = device.commit;
+
+      device.commit = function () {
+        commits += 1;
+        return commit.apply(device, arguments);
+      };
+    });
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("merges metadata into the existing item", function () {
+    var first;
+
+    return save("content", {
+      name: "a",
+      x: 1
+    }).then(function (result) {
+      first = result.item;
+      assert.strictEqual(result.report.duplicate, false);
+      assert.strictEqual(commits, 2);
+
+      return save("content", {
+        name: "b"
+      });
+    }).then(function (result) {
+      assert.strictEqual(result.item.getId(), first.getId());
+      assert.strictEqual(result.report.duplicate, true);
+      assert.deepStrictEqual(result.item.getMetadata(), {
+        name: "b",
+        x: 1
+      });
+      assert.strictEqual(result.item.getVersion(), 2);
+      assert.strictEqual(commits, 2);
+    });
+  });
+
+  it("skips device writes if the digest is provided", function () {
+    var puts = 0;
+
+    return save("content", {
+      name: "a"
+    }).then(function (result) {
+      fixture.devices.forEach(function (device) {
+        device.put = function () {
+          puts += 1;
+        };
+      });
+      return save("content", {
+        name: "b"
+      }, {
+        digest: result.item.getId()
+      });
+    }).then(function (result) {
+      assert.strictEqual(result.report.duplicate, true);
+      assert.strictEqual(puts, 0);
+    });
+  });
+
+  it("writes existing content to devices that don't have it", function () {
+    var device = fixture.devices[1];
+
+    return save("content", {
+      name: "a"
+    }).then(function (result) {
+      fs.unlinkSync(device.getFile(result.item));
+      result.item.status(device, 500, "Device failed.");
+
+      return save("content", {
+        name: "b"
+      });
+    }).then(function (result) {
+      assert.strictEqual(result.report.devices.d1.code, 200);
+      assert.strictEqual(fs.readFileSync(device.getFile(result.item),
+        "utf8"), "content");
+    });
+  });
+
+  it("rejects different content under an existing namespace", function () {
+    var main;
+
+    return save("main", {
+      name: "main"
+    }).then(function (result) {
+      main = result.item;
+      return fixture.store.save(Fixtures.source("small"), "thumb", {}, {
+        parent: main.getId()
+      });
+    }).then(function () {
+      return fixture.store.save(Fixtures.source("other"), "thumb", {}, {
+        parent: main.getId()
+      });
+    }).then(function () {
+      assert.fail("Namespace was replaced.");
+    }, function (err) {
+      assert.ok(/already exists with different content/.test(err.message));
+      return fixture.store.get(main.getId(), "thumb");
+    }).then(Fixtures.read).then(function (content) {
+      assert.strictEqual(content, "small");
+    });
+  });
+});
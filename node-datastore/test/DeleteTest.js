@@ -0,0 +1,90 @@
+var assert = require("assert");
+var fs = require("fs");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore#delete", function () {
+  var fixture;
+
+  /** Saves an item with fixed content.
+   * @param {Function} callback Callback that receives the item. It takes an
+   *    error and the item as parameters. Cannot be null.
+   */
+  var save = function (callback) {
+    fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    }, callback);
+  };
+
+  beforeEach(function () {
+    fixture = Fixtures.create();
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("removes content from devices and keeps the item in the index",
+      function (done) {
+    save(function (err, item) {
+      assert.ifError(err);
+      fixture.store.delete(item.getId(), null, function (err) {
+        assert.ifError(err);
+        fixture.index.getItem(item.getId(), function (err, indexItem) {
+          assert.ifError(err);
+          assert.ok(indexItem.isDeleted());
+          fixture.devices.forEach(function (device) {
+            assert.strictEqual(indexItem.status(device).code, 410);
+            assert.ok(!fs.existsSync(device.getFile(item)));
+          });
+          done();
+        });
+      });
+    });
+  });
+
+  it("doesn't provide deleted items", function (done) {
+    save(function (err, item) {
+      assert.ifError(err);
+      fixture.store.delete(item.getId(), null, function (err) {
+        assert.ifError(err);
+        fixture.store.get(item.getId(), null, function (err) {
+          assert.ok(/was deleted/.test(err.message));
+          done();
+        });
+      });
+    });
+  });
+
+  it("flags devices that fail to delete the item", function (done) {
+    fixture.devices[1].delete = function (deviceItem, callback) {
+      deviceItem.status(this, 500, "Device failed.");
+      callback(new Error("Device failed."), deviceItem);
+    };
+
+    save(function (err, item) {
+      assert.ifError(err);
+      fixture.store.delete(item.getId(), null, function (err) {
+        assert.ok(/some devices/.test(err.message));
+        assert.strictEqual(fixture.errors[0].type, "delete");
+        fixture.index.getItem(item.getId(), function (err, indexItem) {
+          assert.ifError(err);
+          assert.ok(indexItem.isDeleted());
+          assert.strictEqual(indexItem.status(fixture.devices[0]).code, 410);
+          assert.strictEqual(indexItem.status(fixture.devices[1]).code, 500);
+          done();
+        });
+      });
+    });
+  });
+
+  it("fails if the item doesn't exist", function (done) {
+    fixture.store.delete("dead", null, function (err) {
+      assert.ok(err instanceof Error);
+      done();
+    });
+  });
+});
@@ -0,0 +1,135 @@
+var assert = require("assert");
+var crypto = require("crypto");
+var fs = require("fs");
+var CompressedDevice = require("../lib/CompressedDevice");
+var EncryptedDevice = require("../lib/EncryptedDevice");
+var KeyProviders = require("../lib/KeyProviders");
+var Fixtures = require("./support/Fixtures");
+
+describe("EncryptedDevice", function () {
+  var fixture;
+  var raw;
+  var keys;
+  var content = "secret content that must not be stored in clear text";
+
+  /** Opens the data store with encrypted devices. The first device
+   * compresses content before it's encrypted.
+   */
+  var open = function () {
+    fixture = Fixtures.open(fixture.dir, [
+      new CompressedDevice(new EncryptedDevice(raw[0], keys)),
+      new EncryptedDevice(raw[1], keys)
+    ]);
+  };
+
+  beforeEach(function () {
+    var dir = Fixtures.createDir();
+
+    raw = Fixtures.createDevices(dir);
+    keys = KeyProviders.memory({
+      k1: crypto.randomBytes(32)
+    }, "k1");
+    fixture = {
+      dir: dir
+    };
+    open();
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("encrypts content at rest", function () {
+    var item;
+
+    return fixture.store.save(Fixtures.source(content), null, {
+      type: "text/plain"
+    }).then(function (savedItem) {
+      item = savedItem;
+      assert.strictEqual(item.getId(), "1220" + crypto.createHash("sha256")
+        .update(content).digest("hex"));
+      raw.forEach(function (device) {
+        assert.strictEqual(fs.readFileSync(device.getFile(item), "utf8")
+          .indexOf("secret"), -1);
+        assert.strictEqual(item.status(device).details.encryption.keyId,
+          "k1");
+      });
+      return fixture.store.get(item.getId(), null);
+    }).then(Fixtures.read).then(function (data) {
+      assert.strictEqual(data, content);
+      return fixture.store.get(item.getId(), null, {
+        range: {
+          start: 7,
+          end: 13
+        }
+      });
+    }).then(Fixtures.read).then(function (data) {
+      assert.strictEqual(data, "content");
+    });
+  });
+
+  it("fails to read tampered replicas", function () {
+    var device = new EncryptedDevice(raw[1], keys);
+
+    return fixture.store.save(Fixtures.source(content), null, {
+      type: "text/plain"
+    }).then(function (item) {
+      var file = raw[1].getFile(item);
+      var data = fs.readFileSync(file);
+
+      data[0] = data[0] ^ 1;
+      fs.writeFileSync(file, data);
+
+      return device.get(item, {});
+    }).then(Fixtures.read).then(function () {
+      assert.fail("Tampered replica was read.");
+    }, function (err) {
+      assert.ok(err instanceof Error);
+    });
+  });
+
+  it("rotates master keys across devices", function () {
+    var newKey = crypto.randomBytes(32);
+    var item;
+
+    return fixture.store.save(Fixtures.source(content), null, {
+      type: "text/plain"
+    }).then(function (savedItem) {
+      item = savedItem;
+      keys.rotate("k2", newKey);
+      return fixture.store.rotateKeys();
+    }).then(function (report) {
+      assert.deepStrictEqual(report, {
+        items: 1,
+        replicas: 2,
+        errors: []
+      });
+      return fixture.store.close();
+    }).then(function () {
+      // The previous master key is not required anymore.
+      keys = KeyProviders.memory({
+        k2: newKey
+      }, "k2");
+      open();
+      return fixture.index.getItem(item.getId());
+    }).then(function (indexItem) {
+      raw.forEach(function (device) {
+        assert.strictEqual(indexItem.status(device).details.encryption.keyId,
+          "k2");
+      });
+      return fixture.store.get(item.getId(), null);
+    }).then(Fixtures.read).then(function (data) {
+      assert.strictEqual(data, content);
+    });
+  });
+
+  it("rejects invalid key providers", function () {
+    assert.throws(function () {
+      return new EncryptedDevice(raw[0], {});
+    }, /A valid key provider is required/);
+  });
+});
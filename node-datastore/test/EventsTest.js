@@ -0,0 +1,101 @@
+var assert = require("assert");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore events", function () {
+  var fixture;
+  var events;
+
+  /** Records the events emitted by the data store.
+   * @param {String[]} names Names of the events to record. Cannot be null.
+   */
+  var record = function (names) {
+    names.forEach(function (name) {
+      fixture.store.on(name, function (event) {
+        events.push({
+          name: name,
+          event: event
+        });
+      });
+    });
+  };
+
+  /** Returns the recorded events with the specified name.
+   * @param {String} name Event name. Cannot be null.
+   * @return {Object[]} Returns the events. Never returns null.
+   */
+  var eventsNamed = function (name) {
+    return events.filter(function (entry) {
+      return entry.name === name;
+    }).map(function (entry) {
+      return entry.event;
+    });
+  };
+
+  beforeEach(function () {
+    events = [];
+    fixture = Fixtures.create();
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("emits lifecycle events", function (done) {
+    record(["item:saved", "item:updated", "item:deleted", "save:progress"]);
+
+    fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    }, function (err, item) {
+      assert.ifError(err);
+      fixture.store.updateMetadata(item.getId(), null, {
+        name: "bar"
+      }, function (err) {
+        assert.ifError(err);
+        fixture.store.delete(item.getId(), null, function (err) {
+          var saved = eventsNamed("item:saved");
+          var progress = eventsNamed("save:progress");
+
+          assert.ifError(err);
+          assert.strictEqual(saved.length, 1);
+          assert.strictEqual(saved[0].id, item.getId());
+          assert.strictEqual(saved[0].namespace, null);
+          assert.strictEqual(saved[0].report.written, 2);
+          assert.strictEqual(progress[progress.length - 1].bytes, 7);
+          assert.strictEqual(eventsNamed("item:updated")[0].version, 2);
+          assert.strictEqual(eventsNamed("item:deleted")[0].id,
+            item.getId());
+          assert.deepStrictEqual(events.map(function (entry) {
+            return entry.name;
+          }).filter(function (name) {
+            return name !== "save:progress";
+          }), ["item:saved", "item:updated", "item:deleted"]);
+          done();
+        });
+      });
+    });
+  });
+
+  it("emits device errors", function (done) {
+    record(["device:error"]);
+    fixture.devices[1].put = function (item, callback) {
+      callback(new Error("Device failed."), item);
+    };
+
+    fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    }, function (err) {
+      var errors = eventsNamed("device:error");
+
+      assert.ok(err instanceof Error);
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].device, "d1");
+      assert.strictEqual(errors[0].type, "save");
+      assert.strictEqual(errors[0].error.message, "Device failed.");
+      done();
+    });
+  });
+});
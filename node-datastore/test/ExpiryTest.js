@@ -0,0 +1,154 @@
+var assert = require("assert");
+var fs = require("fs");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore expiry", function () {
+  var fixture;
+
+  /** Waits for the specified time.
+   * @param {Number} time Time to wait, in milliseconds. Cannot be null.
+   * @return {Promise} Returns a promise resolved after the time elapsed.
+   */
+  var sleep = function (time) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, time);
+    });
+  };
+
+  /** Saves an item with the specified save options.
+   * @param {String} content Item content. Cannot be null.
+   * @param {Object} options Save options. Cannot be null.
+   * @return {Promise} Returns a promise resolved with the item.
+   */
+  var save = function (content, options) {
+    return fixture.store.save(Fixtures.source(content), null, {
+      name: content
+    }, options);
+  };
+
+  beforeEach(function () {
+    fixture = Fixtures.create();
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("doesn't provide expired items", function () {
+    return save("expired", {
+      expiresAt: new Date(Date.now() - 1)
+    }).then(function (item) {
+      return fixture.store.get(item.getId(), null);
+    }).then(function () {
+      assert.fail("Expired item was provided.");
+    }, function (err) {
+      assert.ok(/expired/.test(err.message));
+    });
+  });
+
+  it("extends the expiration of duplicated items", function () {
+    var expiresAt;
+
+    return save("report", {
+      ttl: 50
+    }).then(function () {
+      return save("report", {
+        ttl: 100000
+      });
+    }).then(function (item) {
+      expiresAt = item.getExpiresAt();
+      assert.ok(expiresAt > Date.now() + 50000);
+      return save("report", {
+        ttl: 1
+      });
+    }).then(function (item) {
+      assert.strictEqual(item.getExpiresAt(), expiresAt);
+      return save("permanent", {});
+    }).then(function () {
+      return save("permanent", {
+        ttl: 1
+      });
+    }).then(function (item) {
+      assert.strictEqual(item.getExpiresAt(), null);
+    });
+  });
+
+  it("deletes expired items along with their namespaces", function () {
+    var main;
+    var referenced;
+
+    return save("main", {
+      ttl: 50
+    }).then(function (item) {
+      main = item;
+      return fixture.store.save(Fixtures.source("small"), "thumb", {}, {
+        parent: main.getId()
+      });
+    }).then(function () {
+      return save("referenced", {
+        ttl: 1,
+        ref: "owner"
+      });
+    }).then(function (item) {
+      referenced = item;
+      return sleep(100);
+    }).then(function () {
+      return fixture.store.expire({
+        dryRun: true
+      });
+    }).then(function (report) {
+      assert.ok(report.deleted.indexOf(main.getId()) > -1);
+      assert.deepStrictEqual(report.referenced, [referenced.getId()]);
+      assert.ok(fs.existsSync(fixture.devices[0].getFile(main)));
+      return fixture.store.expire();
+    }).then(function (report) {
+      assert.ok(report.deleted.indexOf(main.getId()) > -1);
+      assert.deepStrictEqual(report.errors, []);
+      assert.ok(!fs.existsSync(fixture.devices[0].getFile(main)));
+      return fixture.index.getNamespaces(main.getId());
+    }).then(function (namespaces) {
+      assert.ok(namespaces.length > 0);
+      namespaces.forEach(function (namespace) {
+        assert.ok(namespace.isDeleted());
+      });
+      return fixture.index.getItem(referenced.getId());
+    }).then(function (item) {
+      assert.ok(!item.isDeleted());
+    });
+  });
+
+  it("deletes expired items in background", function () {
+    var item;
+
+    return fixture.store.close().then(function () {
+      fixture = Fixtures.open(fixture.dir, fixture.devices, {
+        expiryInterval: 50
+      });
+      return save("temporary", {
+        ttl: 10
+      });
+    }).then(function (savedItem) {
+      item = savedItem;
+      return sleep(200);
+    }).then(function () {
+      return fixture.index.getItem(item.getId());
+    }).then(function (indexItem) {
+      assert.ok(indexItem.isDeleted());
+      assert.ok(!fs.existsSync(fixture.devices[0].getFile(item)));
+    });
+  });
+
+  it("rejects invalid expiration times", function () {
+    return save("invalid", {
+      ttl: "abc"
+    }).then(function () {
+      assert.fail("Item with invalid expiration was saved.");
+    }, function (err) {
+      assert.strictEqual(err.message, "Invalid expiration time.");
+    });
+  });
+});
@@ -0,0 +1,111 @@
+var assert = require("assert");
+var crypto = require("crypto");
+var fs = require("fs");
+var path = require("path");
+var ItemId = require("../lib/ItemId");
+var Fixtures = require("./support/Fixtures");
+
+describe("Content hashing", function () {
+  var fixture;
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("builds self-describing ids from the content hash", function (done) {
+    var digest = crypto.createHash("sha256").update("content").digest("hex");
+
+    fixture = Fixtures.create();
+
+    fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    }, function (err, item) {
+      var itemId;
+
+      assert.ifError(err);
+      itemId = ItemId.parse(item.getId());
+      assert.strictEqual(item.getId(), "1220" + digest);
+      assert.strictEqual(itemId.algorithm, "sha256");
+      assert.strictEqual(itemId.digest, digest);
+      assert.strictEqual(itemId.namespace, null);
+      done();
+    });
+  });
+
+  it("keeps items hashed with different algorithms", function (done) {
+    var dir = Fixtures.createDir();
+    var devices = Fixtures.createDevices(dir);
+
+    fixture = Fixtures.open(dir, devices);
+
+    fixture.store.save(Fixtures.source("first"), null, {
+      name: "first"
+    }, function (err, first) {
+      assert.ifError(err);
+      fixture.store.close(function () {
+        fixture = Fixtures.open(dir, devices, {
+          hash: "sha512"
+        });
+        fixture.store.save(Fixtures.source("second"), null, {
+          name: "second"
+        }, function (err, item) {
+          assert.ifError(err);
+          assert.strictEqual(ItemId.parse(item.getId()).algorithm, "sha512");
+          fixture.store.get(first.getId(), null, function (err, item) {
+            assert.ifError(err);
+            Fixtures.read(item).then(function (content) {
+              assert.strictEqual(content, "first");
+            }).then(done, done);
+          });
+        });
+      });
+    });
+  });
+
+  it("rejects unsupported hash algorithms", function () {
+    fixture = Fixtures.create();
+
+    assert.throws(function () {
+      Fixtures.create({
+        hash: "crc32"
+      });
+    }, /Hash algorithm not supported/);
+  });
+
+  it("parses namespaced and legacy ids", function () {
+    var digest = crypto.createHash("sha256").update("content").digest("hex");
+    var id = ItemId.compose("1220" + digest, "thumb nail");
+    var legacy = ItemId.parse(digest + "_thumb");
+
+    fixture = Fixtures.create();
+
+    assert.strictEqual(ItemId.parse(id).namespace, "thumb nail");
+    assert.strictEqual(ItemId.parse(id).hash, "1220" + digest);
+    assert.ok(legacy.legacy);
+    assert.strictEqual(legacy.digest, digest);
+    assert.strictEqual(legacy.namespace, "thumb");
+  });
+
+  it("spreads items in devices by the content digest", function (done) {
+    var digest = crypto.createHash("sha256").update("content").digest("hex");
+
+    fixture = Fixtures.create(null, 1);
+
+    fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    }, function (err, item) {
+      var file;
+
+      assert.ifError(err);
+      file = path.join(fixture.dir, "d0", digest.substr(0, 2),
+        digest.substr(2, 4), digest.substr(4, 6), item.getId());
+      assert.strictEqual(fixture.devices[0].getFile(item), file);
+      assert.strictEqual(fs.readFileSync(file, "utf8"), "content");
+      done();
+    });
+  });
+});
@@ -0,0 +1,102 @@
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var FileSystemDevice = require("../../node-datastore-fs").FileSystemDevice;
+var DataStoreItem = require("../lib/DataStoreItem");
+var ItemFilter = require("../lib/ItemFilter");
+var Fixtures = require("./support/Fixtures");
+
+describe("Device capability filtering", function () {
+  var fixture;
+
+  /** Creates an item with the specified metadata.
+   * @param {String} id Item id. Cannot be null.
+   * @param {Object} metadata Item metadata. Cannot be null.
+   * @return {DataStoreItem} Returns the item. Never returns null.
+   */
+  var createItem = function (id, metadata) {
+    return new DataStoreItem(id, metadata, {});
+  };
+
+  beforeEach(function () {
+    var dir = Fixtures.createDir();
+
+    fixture = Fixtures.open(dir, [
+      new FileSystemDevice(path.join(dir, "d0"), {
+        id: "d0"
+      }),
+      new FileSystemDevice(path.join(dir, "d1"), {
+        id: "d1",
+        supports: ItemFilter({
+          types: ["image/*"]
+        })
+      })
+    ]);
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("matches items by type, size and namespace", function () {
+    var filter = ItemFilter({
+      types: ["image/*", "text/plain"],
+      maxSize: 100,
+      namespaces: [null, "thumb"]
+    });
+
+    assert.ok(filter(createItem("1220aa", {
+      type: "image/png",
+      size: 10
+    })));
+    assert.ok(filter(createItem("1220aa.thumb", {
+      type: "text/plain",
+      size: 10
+    })));
+    assert.ok(!filter(createItem("1220aa", {
+      type: "video/mp4",
+      size: 10
+    })));
+    assert.ok(!filter(createItem("1220aa", {
+      type: "image/png",
+      size: 1000
+    })));
+    assert.ok(!filter(createItem("1220aa.web", {
+      type: "image/png",
+      size: 10
+    })));
+    assert.ok(ItemFilter({
+      match: function (metadata) {
+        return metadata.public === true;
+      }
+    })(createItem("1220aa", {
+      public: true
+    })));
+  });
+
+  it("doesn't write unsupported items", function (done) {
+    fixture.store.save(Fixtures.source("text"), null, {
+      type: "text/plain"
+    }, function (err, text) {
+      assert.ifError(err);
+      fixture.store.save(Fixtures.source("image"), null, {
+        type: "image/png"
+      }, function (err, image) {
+        assert.ifError(err);
+        assert.strictEqual(text.status(fixture.devices[1]).code, 415);
+        assert.ok(!fs.existsSync(fixture.devices[1].getFile(text)));
+        assert.strictEqual(image.status(fixture.devices[1]).code, 200);
+        assert.ok(fs.existsSync(fixture.devices[1].getFile(image)));
+        fixture.store.sync(function (err) {
+          assert.ifError(err);
+          assert.ok(!fs.existsSync(fixture.devices[1].getFile(text)));
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,171 @@
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var stream = require("stream");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore journal", function () {
+  var fixture;
+  var journal;
+  var recovered;
+
+  /** Opens the data store with a journal and new devices, and records the
+   * recovered operations.
+   * @param {String} dir Directory of the data store. Cannot be null.
+   */
+  var open = function (dir) {
+    journal = Fixtures.createJournal(dir);
+    fixture = Fixtures.open(dir, Fixtures.createDevices(dir), {
+      journal: journal
+    });
+    fixture.store.on("item:recovered", function (event) {
+      recovered.push(event);
+    });
+  };
+
+  /** Opens the data store again as if the process had crashed. The previous
+   * data store is abandoned without closing it.
+   */
+  var crash = function () {
+    open(fixture.dir);
+  };
+
+  /** Counts the files stored in a device.
+   * @param {String} name Name of the device directory. Cannot be null.
+   * @return {Number} Returns the number of files. Never returns null.
+   */
+  var countFiles = function (name) {
+    var dir = path.join(fixture.dir, name);
+
+    return fs.readdirSync(dir, {
+      recursive: true
+    }).filter(function (file) {
+      return fs.statSync(path.join(dir, file)).isFile();
+    }).length;
+  };
+
+  /** Returns the size of the journal file.
+   * @return {Number} Returns the size in bytes. Never returns null.
+   */
+  var journalSize = function () {
+    return fs.statSync(path.join(fixture.dir, "journal.log")).size;
+  };
+
+  /** Waits for the specified time.
+   * @param {Number} time Time to wait, in milliseconds. Cannot be null.
+   * @return {Promise} Returns a promise resolved after the time elapsed.
+   */
+  var sleep = function (time) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, time);
+    });
+  };
+
+  beforeEach(function () {
+    recovered = [];
+    open(Fixtures.createDir());
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("leaves no pending operations after a save", function () {
+    return fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    }).then(function () {
+      assert.strictEqual(journalSize(), 0);
+      assert.deepStrictEqual(recovered, []);
+    });
+  });
+
+  it("closes the journal along with the data store", function () {
+    return fixture.store.close().then(function () {
+      return journal.begin({
+        type: "save"
+      });
+    }).then(function () {
+      assert.fail("Operation was recorded in a closed journal.");
+    }, function (err) {
+      assert.strictEqual(err.message, "Journal is closed.");
+      open(fixture.dir);
+    });
+  });
+
+  it("rolls back saves interrupted while streaming", function () {
+    var input = new stream.PassThrough();
+
+    fixture.store.save(input, null, {
+      name: "partial"
+    });
+    input.write("partial content");
+
+    return sleep(100).then(function () {
+      assert.strictEqual(countFiles("d0"), 1);
+      crash();
+      return fixture.store.stat();
+    }).then(function (usage) {
+      // Operations wait until the recovery finishes.
+      assert.strictEqual(usage.items, 0);
+      assert.strictEqual(recovered.length, 1);
+      assert.strictEqual(recovered[0].operation, "save");
+      assert.strictEqual(recovered[0].action, "rolledBack");
+      assert.strictEqual(countFiles("d0"), 0);
+      assert.strictEqual(countFiles("d1"), 0);
+      assert.strictEqual(journalSize(), 0);
+    });
+  });
+
+  it("rolls back items registered without content", function () {
+    fixture.devices[1].commit = function () {};
+    fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    });
+
+    return sleep(100).then(function () {
+      crash();
+      return fixture.store.stat();
+    }).then(function () {
+      return fixture.index.list();
+    }).then(function (items) {
+      assert.strictEqual(items.length, 1);
+      assert.ok(items[0].isDeleted());
+      assert.strictEqual(recovered[0].id, items[0].getId());
+      assert.strictEqual(recovered[0].action, "rolledBack");
+      assert.strictEqual(countFiles("d0"), 0);
+      assert.strictEqual(countFiles("d1"), 0);
+    });
+  });
+
+  it("replays saves of content stored in a device", function () {
+    var item;
+
+    return fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    }).then(function (savedItem) {
+      item = savedItem;
+      fs.unlinkSync(fixture.devices[1].getFile(item));
+      item.status(fixture.devices[1], 500, "Device failed.");
+      return fixture.index.flush();
+    }).then(function () {
+      fixture.devices[1].commit = function () {};
+      fixture.store.save(Fixtures.source("content"), null, {
+        name: "foo"
+      });
+      return sleep(100);
+    }).then(function () {
+      crash();
+      return fixture.store.sync(item.getId());
+    }).then(function () {
+      assert.strictEqual(recovered[0].id, item.getId());
+      assert.strictEqual(recovered[0].action, "replayed");
+      assert.strictEqual(fs.readFileSync(fixture.devices[1].getFile(item),
+        "utf8"), "content");
+      assert.strictEqual(journalSize(), 0);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+var assert = require("assert");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore#updateMetadata", function () {
+  var fixture;
+  var item;
+
+  beforeEach(function () {
+    fixture = Fixtures.create();
+
+    return fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo",
+      tags: ["a"]
+    }).then(function (savedItem) {
+      item = savedItem;
+    });
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("merges the patch and keeps the history", function () {
+    return fixture.store.updateMetadata(item.getId(), null, {
+      name: "bar",
+      tags: null,
+      size: 7
+    }).then(function (updatedItem) {
+      assert.deepStrictEqual(updatedItem.getMetadata(), {
+        name: "bar",
+        size: 7
+      });
+      assert.strictEqual(updatedItem.getVersion(), 2);
+      assert.deepStrictEqual(updatedItem.getHistory().map(function (change) {
+        return change.version;
+      }), [2]);
+      assert.ok(updatedItem.getHistory()[0].timestamp > 0);
+      return fixture.store.get(item.getId(), null);
+    }).then(function (readItem) {
+      assert.strictEqual(readItem.getMetadata().name, "bar");
+      assert.strictEqual(readItem.getVersion(), 2);
+    });
+  });
+
+  it("rejects updates based on an old version", function () {
+    return fixture.store.updateMetadata(item.getId(), null, {
+      name: "bar"
+    }, {
+      version: 1
+    }).then(function () {
+      return fixture.store.updateMetadata(item.getId(), null, {
+        name: "baz"
+      }, {
+        version: 1
+      });
+    }).then(function () {
+      assert.fail("Stale update was applied.");
+    }, function (err) {
+      assert.ok(err instanceof Error);
+      return fixture.store.get(item.getId(), null);
+    }).then(function (readItem) {
+      assert.strictEqual(readItem.getMetadata().name, "bar");
+    });
+  });
+
+  it("keeps metadata versions after the index is opened again", function () {
+    return fixture.store.updateMetadata(item.getId(), null, {
+      name: "bar"
+    }).then(function () {
+      return fixture.store.close();
+    }).then(function () {
+      fixture = Fixtures.open(fixture.dir, fixture.devices);
+      return fixture.store.get(item.getId(), null);
+    }).then(function (readItem) {
+      assert.strictEqual(readItem.getVersion(), 2);
+      assert.strictEqual(readItem.getHistory().length, 1);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+var assert = require("assert");
+var ItemId = require("../lib/ItemId");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore namespaces", function () {
+  var fixture;
+  var main;
+
+  /** Saves a namespace of the main item.
+   * @param {String} namespace Namespace to save. Cannot be null.
+   * @param {String} content Namespace content. Cannot be null.
+   * @return {Promise} Returns a promise resolved with the namespace item.
+   */
+  var saveNamespace = function (namespace, content) {
+    return fixture.store.save(Fixtures.source(content), namespace, {
+      name: namespace
+    }, {
+      parent: main.getId()
+    });
+  };
+
+  /** Returns the namespaces of the main item, sorted.
+   * @return {Promise} Returns a promise resolved with the namespace names.
+   */
+  var listNamespaces = function () {
+    return fixture.store.getNamespaces(main.getId()).then(function (items) {
+      return items.map(function (item) {
+        return item.getNamespace();
+      }).sort();
+    });
+  };
+
+  beforeEach(function () {
+    fixture = Fixtures.create();
+
+    return fixture.store.save(Fixtures.source("main"), null, {
+      name: "main"
+    }).then(function (item) {
+      main = item;
+    });
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("lists the namespaces saved under an item", function () {
+    return saveNamespace("thumb", "small").then(function (item) {
+      assert.strictEqual(ItemId.parse(item.getId()).hash,
+        ItemId.parse(main.getId()).hash);
+      return saveNamespace("web", "medium");
+    }).then(function () {
+      return fixture.store.get(main.getId(), "thumb");
+    }).then(function (item) {
+      return Fixtures.read(item);
+    }).then(function (content) {
+      assert.strictEqual(content, "small");
+      return listNamespaces();
+    }).then(function (namespaces) {
+      assert.deepStrictEqual(namespaces, ["thumb", "web"]);
+      return fixture.store.delete(main.getId(), "web");
+    }).then(function () {
+      return listNamespaces();
+    }).then(function (namespaces) {
+      assert.deepStrictEqual(namespaces, ["thumb"]);
+    });
+  });
+
+  it("lists namespaces stored with the item hash by previous versions",
+      function () {
+    var digest = ItemId.parse(main.getId()).digest;
+
+    return fixture.index.createItem(ItemId.composeLegacy(digest, "thumb"), {
+      name: "thumb"
+    }).then(function () {
+      return listNamespaces();
+    }).then(function (namespaces) {
+      assert.deepStrictEqual(namespaces, ["thumb"]);
+    });
+  });
+
+  it("deletes an item with all its namespaces", function () {
+    return saveNamespace("thumb", "small").then(function () {
+      return fixture.store.deleteAll(main.getId());
+    }).then(function () {
+      return fixture.index.list();
+    }).then(function (items) {
+      assert.strictEqual(items.length, 2);
+      items.forEach(function (item) {
+        assert.ok(item.isDeleted());
+      });
+      return listNamespaces();
+    }).then(function (namespaces) {
+      assert.deepStrictEqual(namespaces, []);
+    });
+  });
+
+  it("requires a namespace to save under a parent item", function () {
+    return fixture.store.save(Fixtures.source("small"), null, {}, {
+      parent: main.getId()
+    }).then(function () {
+      assert.fail("Item was saved without namespace.");
+    }, function (err) {
+      assert.ok(/A namespace is required/.test(err.message));
+    });
+  });
+});
@@ -0,0 +1,106 @@
+var assert = require("assert");
+var extend = require("extend");
+var Device = require("../lib/Device");
+var Promises = require("../lib/Promises");
+var Fixtures = require("./support/Fixtures");
+
+describe("Promises", function () {
+  var fixture;
+
+  beforeEach(function () {
+    fixture = Fixtures.create();
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("returns promises if the callback is omitted", function () {
+    var saved = fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    });
+
+    assert.ok(saved instanceof Promise);
+
+    return saved.then(function (item) {
+      return fixture.store.get(item.getId(), null);
+    }).then(function (item) {
+      return fixture.store.getNamespaces(item.getId());
+    }).then(function (namespaces) {
+      assert.deepStrictEqual(namespaces, []);
+      return fixture.store.stat();
+    }).then(function (usage) {
+      assert.ok(usage.devices.d0);
+    });
+  });
+
+  it("keeps supporting callbacks", function (done) {
+    var result = fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    }, function (err, item, report) {
+      assert.ifError(err);
+      assert.strictEqual(report.written, 2);
+      fixture.store.get(item.getId(), null, {}, function (err, readItem) {
+        assert.ifError(err);
+        assert.strictEqual(readItem.getId(), item.getId());
+        done();
+      });
+    });
+
+    assert.strictEqual(result, undefined);
+  });
+
+  it("rejects promises on errors", function () {
+    return fixture.store.get("1220dead", null).then(function () {
+      assert.fail("Missing item was provided.");
+    }, function (err) {
+      assert.ok(err instanceof Error);
+    });
+  });
+
+  it("supports promises in indexes and devices", function () {
+    return fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    }).then(function (item) {
+      return Promise.all([
+        fixture.index.getItem(item.getId()),
+        fixture.devices[0].exists(item),
+        fixture.devices[0].ping()
+      ]);
+    }).then(function (results) {
+      assert.ok(results[0].getId());
+      assert.strictEqual(results[1], true);
+      assert.strictEqual(results[2], true);
+    });
+  });
+
+  it("calls back predicates with an error and a boolean", function (done) {
+    var legacy = Promises.device(extend(new Device("legacy"), {
+      ping: function (callback) {
+        callback(true);
+      },
+      exists: function (item, callback) {
+        callback(new Error("Device failed."));
+      }
+    }));
+
+    legacy.ping(function (err, available) {
+      assert.strictEqual(err, null);
+      assert.strictEqual(available, true);
+
+      legacy.exists({}, function (err, exists) {
+        assert.strictEqual(err.message, "Device failed.");
+        assert.strictEqual(exists, false);
+
+        legacy.ping().then(function (available) {
+          assert.strictEqual(available, true);
+          done();
+        }, done);
+      });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+var assert = require("assert");
+var fs = require("fs");
+var async = require("async");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore#purge", function () {
+  var fixture;
+  var deleted;
+  var orphan;
+  var live;
+
+  beforeEach(function (done) {
+    fixture = Fixtures.create();
+
+    async.mapSeries(["deleted", "orphan", "live"], function (content,
+        saveCallback) {
+      fixture.store.save(Fixtures.source(content), null, {
+        name: content
+      }, saveCallback);
+    }, function (err, items) {
+      assert.ifError(err);
+      deleted = items[0];
+      orphan = items[1];
+      live = items[2];
+
+      fixture.store.delete(deleted.getId(), null, function (err) {
+        assert.ifError(err);
+        // The orphan is removed from the index but it's kept in devices.
+        fixture.index.removeItem(orphan.getId(), done);
+      });
+    });
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("reports what would be purged in dry-run mode", function (done) {
+    fixture.store.purge({
+      dryRun: true
+    }, function (err, report) {
+      assert.ifError(err);
+      assert.deepStrictEqual(report.purged, [deleted.getId()]);
+      assert.deepStrictEqual(report.orphans, [{
+        device: "d0",
+        id: orphan.getId()
+      }, {
+        device: "d1",
+        id: orphan.getId()
+      }]);
+      assert.ok(fs.existsSync(fixture.devices[0].getFile(orphan)));
+      fixture.index.getItem(deleted.getId(), function (err, item) {
+        assert.ifError(err);
+        assert.ok(item.isDeleted());
+        done();
+      });
+    });
+  });
+
+  it("removes deleted items from the index and orphans from devices",
+      function (done) {
+    fixture.store.purge(function (err, report) {
+      assert.ifError(err);
+      assert.deepStrictEqual(report.purged, [deleted.getId()]);
+      assert.strictEqual(report.orphans.length, 2);
+      fixture.devices.forEach(function (device) {
+        assert.ok(!fs.existsSync(device.getFile(orphan)));
+        assert.ok(fs.existsSync(device.getFile(live)));
+      });
+      fixture.index.list(function (err, items) {
+        assert.ifError(err);
+        assert.deepStrictEqual(items.map(function (item) {
+          return item.getId();
+        }), [live.getId()]);
+        fixture.store.purge(function (err, report) {
+          assert.ifError(err);
+          assert.deepStrictEqual(report, {
+            purged: [],
+            orphans: []
+          });
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,122 @@
+var assert = require("assert");
+var stream = require("stream");
+var ByteRange = require("../lib/ByteRange");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore#get byte ranges", function () {
+  var fixture;
+  var content;
+  var item;
+
+  beforeEach(function () {
+    var i;
+
+    content = "";
+    for (i = 0; i < 10000; i++) {
+      content += String.fromCharCode(65 + i % 26);
+    }
+    fixture = Fixtures.create();
+
+    return fixture.store.save(Fixtures.source(content), null, {
+      name: "letters"
+    }).then(function (savedItem) {
+      item = savedItem;
+    });
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("reads the requested range", function () {
+    return fixture.store.get(item.getId(), null, {
+      range: {
+        start: 100,
+        end: 199
+      }
+    }).then(function (rangeItem) {
+      assert.deepStrictEqual(rangeItem.range, {
+        start: 100,
+        end: 199,
+        total: content.length
+      });
+      return Fixtures.read(rangeItem);
+    }).then(function (data) {
+      assert.strictEqual(data, content.slice(100, 200));
+    });
+  });
+
+  it("reads until the end if there's no end offset", function () {
+    return fixture.store.get(item.getId(), null, {
+      range: {
+        start: 9000
+      }
+    }).then(Fixtures.read).then(function (data) {
+      assert.strictEqual(data, content.slice(9000));
+    });
+  });
+
+  it("rejects ranges beyond the content", function () {
+    return fixture.store.get(item.getId(), null, {
+      range: {
+        start: content.length + 5
+      }
+    }).then(function () {
+      assert.fail("Invalid range was provided.");
+    }, function (err) {
+      assert.ok(err instanceof Error);
+      assert.ok(/Range not satisfiable/.test(fixture.errors[0].error.message));
+    });
+  });
+
+  it("resumes the range from another device if a device fails",
+      function () {
+    var device = fixture.devices[0];
+    var get = device.get;
+
+    // The first device breaks after providing part of the content.
+    device.get = function (deviceItem, options, callback) {
+      get.call(device, deviceItem, options, function (err, readItem) {
+        var open = readItem.stream;
+
+        readItem.stream = function () {
+          var output = new stream.PassThrough();
+          var input = open.call(readItem);
+
+          input.once("data", function (chunk) {
+            output.write(chunk.slice(0, 10));
+            input.destroy();
+            output.emit("error", new Error("Device failed."));
+          });
+          return output;
+        };
+        callback(err, readItem);
+      });
+    };
+
+    return fixture.store.get(item.getId(), null, {
+      range: {
+        start: 300,
+        end: 5000
+      }
+    }).then(Fixtures.read).then(function (data) {
+      assert.strictEqual(data, content.slice(300, 5001));
+    });
+  });
+
+  it("converts ranges from and to HTTP headers", function () {
+    assert.deepStrictEqual(ByteRange.fromHeader("bytes=10-"), {
+      start: 10,
+      end: null
+    });
+    assert.strictEqual(ByteRange.toHeader({
+      start: 10,
+      end: 20
+    }), "bytes=10-20");
+    assert.strictEqual(ByteRange.fromHeader("items=1-2"), null);
+  });
+});
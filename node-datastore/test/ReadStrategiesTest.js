@@ -0,0 +1,158 @@
+var assert = require("assert");
+var async = require("async");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore#get read strategies", function () {
+  var fixture;
+  var reads;
+
+  /** Creates a data store that records the devices items are read from.
+   * @param {Object} [options] Data store options. Can be null.
+   */
+  var create = function (options) {
+    fixture = Fixtures.create(options);
+    fixture.devices.forEach(function (device) {
+      var get = device.get;
+
+      device.get = function () {
+        reads.push(device.getId());
+        return get.apply(device, arguments);
+      };
+    });
+  };
+
+  /** Saves an item and reads it the specified number of times.
+   * @param {Number} times Number of reads. Cannot be null.
+   * @param {Function} callback Callback that receives the content of the
+   *    last read. It takes an error and the content as parameters. Cannot be
+   *    null.
+   */
+  var saveAndRead = function (times, callback) {
+    fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    }, function (err, item) {
+      var content = null;
+
+      if (err) {
+        callback(err);
+        return;
+      }
+      reads = [];
+      async.timesSeries(times, function (i, readCallback) {
+        fixture.store.get(item.getId(), null, function (err, item) {
+          if (err) {
+            readCallback(err);
+            return;
+          }
+          Fixtures.read(item).then(function (itemContent) {
+            content = itemContent;
+            readCallback();
+          }, readCallback);
+        });
+      }, function (err) {
+        callback(err || null, content);
+      });
+    });
+  };
+
+  beforeEach(function () {
+    reads = [];
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("reads from the first device by default", function (done) {
+    create();
+
+    saveAndRead(3, function (err, content) {
+      assert.ifError(err);
+      assert.strictEqual(content, "content");
+      assert.deepStrictEqual(reads, ["d0", "d0", "d0"]);
+      done();
+    });
+  });
+
+  it("balances reads between devices", function (done) {
+    create({
+      readStrategy: "roundRobin"
+    });
+
+    saveAndRead(3, function (err) {
+      assert.ifError(err);
+      assert.deepStrictEqual(reads, ["d0", "d1", "d0"]);
+      done();
+    });
+  });
+
+  it("prefers local devices", function (done) {
+    create({
+      readStrategy: "localFirst"
+    });
+    fixture.devices[0].isLocal = function () {
+      return false;
+    };
+
+    saveAndRead(1, function (err) {
+      assert.ifError(err);
+      assert.deepStrictEqual(reads, ["d1"]);
+      done();
+    });
+  });
+
+  it("supports custom strategies", function (done) {
+    create({
+      readStrategy: {
+        order: function (devices) {
+          return devices.slice().reverse();
+        }
+      }
+    });
+
+    saveAndRead(1, function (err) {
+      assert.ifError(err);
+      assert.deepStrictEqual(reads, ["d1"]);
+      done();
+    });
+  });
+
+  it("falls back to the next device if a device fails", function (done) {
+    create();
+    fixture.devices[0].get = function (item, callback) {
+      reads.push("d0");
+      callback(new Error("Device failed."));
+    };
+
+    saveAndRead(1, function (err, content) {
+      assert.ifError(err);
+      assert.strictEqual(content, "content");
+      assert.deepStrictEqual(reads, ["d0", "d1"]);
+      done();
+    });
+  });
+
+  it("skips devices that are not available", function (done) {
+    var unavailable = [];
+
+    create();
+    fixture.store.on("device:unavailable", function (event) {
+      unavailable.push(event.device);
+    });
+    fixture.devices[0].ping = function (callback) {
+      callback(null, false);
+    };
+
+    saveAndRead(1, function (err, content) {
+      assert.ifError(err);
+      assert.strictEqual(content, "content");
+      assert.deepStrictEqual(reads, ["d1"]);
+      assert.ok(unavailable.indexOf("d0") > -1);
+      done();
+    });
+  });
+});
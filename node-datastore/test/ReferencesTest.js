@@ -0,0 +1,87 @@
+var assert = require("assert");
+var fs = require("fs");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore references", function () {
+  var fixture;
+  var item;
+
+  /** Saves the shared content with the specified reference.
+   * @param {String} ref Reference to add. Cannot be null.
+   * @return {Promise} Returns a promise resolved with the item.
+   */
+  var saveShared = function (ref) {
+    return fixture.store.save(Fixtures.source("shared"), null, {
+      name: "shared"
+    }, {
+      ref: ref
+    });
+  };
+
+  beforeEach(function () {
+    fixture = Fixtures.create();
+
+    return saveShared("alice").then(function () {
+      return saveShared("bob");
+    }).then(function (savedItem) {
+      item = savedItem;
+    });
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("shares content between references", function () {
+    assert.deepStrictEqual(item.getRefs().sort(), ["alice", "bob"]);
+
+    return fixture.store.addRef(item.getId(), null, "carol").then(function () {
+      return fixture.index.getItem(item.getId());
+    }).then(function (indexItem) {
+      assert.deepStrictEqual(indexItem.getRefs().sort(),
+        ["alice", "bob", "carol"]);
+    });
+  });
+
+  it("doesn't delete referenced items", function () {
+    return fixture.store.delete(item.getId(), null).then(function () {
+      assert.fail("Referenced item was deleted.");
+    }, function (err) {
+      assert.ok(/is still referenced/.test(err.message));
+    });
+  });
+
+  it("deletes the item when the last reference is released", function () {
+    var id = item.getId();
+
+    return fixture.store.removeRef(id, null, "alice").then(function (updated) {
+      assert.ok(!updated.isDeleted());
+      return fixture.store.removeRef(id, null, "bob");
+    }).then(function () {
+      return fixture.index.getItem(item.getId());
+    }).then(function (indexItem) {
+      assert.ok(indexItem.isDeleted());
+      fixture.devices.forEach(function (device) {
+        assert.ok(!fs.existsSync(device.getFile(item)));
+      });
+    });
+  });
+
+  it("doesn't purge referenced items with missing content", function () {
+    fixture.devices.forEach(function (device) {
+      fs.unlinkSync(device.getFile(item));
+      item.status(device, 500, "Device failed.");
+    });
+
+    return fixture.store.purge().then(function (report) {
+      assert.deepStrictEqual(report.purged, []);
+      return fixture.index.getItem(item.getId());
+    }).then(function (indexItem) {
+      assert.ok(indexItem.isMissing());
+    });
+  });
+});
@@ -0,0 +1,140 @@
+var assert = require("assert");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore replication policy", function () {
+  var fixture;
+
+  /** Creates a data store with three devices.
+   * @param {Object} replication Replication policy. Cannot be null.
+   */
+  var create = function (replication) {
+    fixture = Fixtures.create({
+      replication: replication
+    }, 3);
+  };
+
+  /** Makes a device fail all writes.
+   * @param {Device} device Device to break. Cannot be null.
+   */
+  var failWrites = function (device) {
+    device.put = function (item, callback) {
+      callback(new Error("Device failed."), item);
+    };
+  };
+
+  /** Saves an item with fixed content.
+   * @param {Function} callback Callback that receives the item. It takes an
+   *    error, the item and the save report as parameters. Cannot be null.
+   */
+  var save = function (callback) {
+    fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    }, callback);
+  };
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("writes to all devices by default", function (done) {
+    create();
+
+    save(function (err, item, report) {
+      assert.ifError(err);
+      assert.strictEqual(report.written, 3);
+      assert.strictEqual(report.required, 3);
+      done();
+    });
+  });
+
+  it("replicates to the remaining devices in background in quorum mode",
+      function (done) {
+    create({
+      mode: "quorum",
+      quorum: 2
+    });
+
+    save(function (err, item, report) {
+      assert.ifError(err);
+      assert.strictEqual(report.required, 2);
+      assert.ok(report.written >= 2);
+
+      // Closing waits for background synchronization.
+      fixture.store.close(function (err) {
+        assert.ifError(err);
+        fixture.index.getItem(item.getId(), function (err, indexItem) {
+          assert.ifError(err);
+          fixture.devices.forEach(function (device) {
+            assert.strictEqual(indexItem.status(device).code, 200);
+          });
+          done();
+        });
+      });
+    });
+  });
+
+  it("saves the item anyway if the quorum is not met", function (done) {
+    create({
+      mode: "quorum",
+      quorum: 2
+    });
+    failWrites(fixture.devices[1]);
+    failWrites(fixture.devices[2]);
+
+    save(function (err, item, report) {
+      assert.ok(/Replication policy not met/.test(err.message));
+      assert.strictEqual(report.written, 1);
+      fixture.index.getItem(item.getId(), function (err, indexItem) {
+        assert.ifError(err);
+        assert.strictEqual(indexItem.status(fixture.devices[0]).code, 200);
+        done();
+      });
+    });
+  });
+
+  it("writes to the specified devices in devices mode", function (done) {
+    create({
+      mode: "devices",
+      devices: ["d2"]
+    });
+
+    save(function (err, item, report) {
+      assert.ifError(err);
+      assert.strictEqual(report.required, 1);
+      assert.strictEqual(report.devices.d2.code, 200);
+      done();
+    });
+  });
+
+  it("rejects invalid policies", function () {
+    create();
+
+    assert.throws(function () {
+      Fixtures.create({
+        replication: {
+          mode: "quorum",
+          quorum: 3
+        }
+      });
+    }, /quorum must be between 1 and 2/);
+    assert.throws(function () {
+      Fixtures.create({
+        replication: {
+          mode: "devices",
+          devices: ["d9"]
+        }
+      });
+    }, /Replication device not found: d9/);
+    assert.throws(function () {
+      Fixtures.create({
+        replication: {
+          mode: "some"
+        }
+      });
+    }, /Replication mode not supported/);
+  });
+});
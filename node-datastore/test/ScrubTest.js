@@ -0,0 +1,96 @@
+var assert = require("assert");
+var fs = require("fs");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore#scrub", function () {
+  var fixture;
+  var items;
+
+  beforeEach(function () {
+    fixture = Fixtures.create();
+
+    return Promise.all(["first", "second", "third"].map(function (content) {
+      return fixture.store.save(Fixtures.source(content), null, {
+        name: content
+      });
+    })).then(function (savedItems) {
+      items = savedItems;
+    });
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("verifies all replicas", function () {
+    return fixture.store.scrub().then(function (report) {
+      assert.strictEqual(report.items, 3);
+      assert.strictEqual(report.verified, 6);
+      assert.deepStrictEqual(report.corrupted, []);
+      assert.strictEqual(report.bytes, 32);
+      assert.strictEqual(report.cursor, null);
+    });
+  });
+
+  it("flags and repairs corrupted replicas", function () {
+    var item = items[0];
+    var device = fixture.devices[1];
+    var corrupted = [];
+
+    fixture.store.on("item:corrupted", function (event) {
+      corrupted.push(event.device);
+    });
+    fs.writeFileSync(device.getFile(item), "garbage");
+
+    return fixture.store.scrub().then(function (report) {
+      assert.deepStrictEqual(report.corrupted, [{
+        id: item.getId(),
+        device: "d1"
+      }]);
+      assert.deepStrictEqual(report.repaired, [{
+        id: item.getId(),
+        device: "d1"
+      }]);
+      assert.deepStrictEqual(corrupted, ["d1"]);
+      assert.strictEqual(fs.readFileSync(device.getFile(item), "utf8"),
+        "first");
+    });
+  });
+
+  it("keeps corrupted replicas flagged if repair is disabled", function () {
+    var item = items[0];
+    var device = fixture.devices[1];
+
+    fs.writeFileSync(device.getFile(item), "garbage");
+
+    return fixture.store.scrub({
+      repair: false
+    }).then(function (report) {
+      assert.strictEqual(report.corrupted.length, 1);
+      assert.deepStrictEqual(report.repaired, []);
+      return fixture.index.getItem(item.getId());
+    }).then(function (indexItem) {
+      assert.strictEqual(indexItem.status(device).code, 409);
+    });
+  });
+
+  it("resumes from the cursor", function () {
+    return fixture.store.scrub({
+      limit: 2
+    }).then(function (report) {
+      assert.strictEqual(report.items, 2);
+      assert.ok(report.cursor);
+
+      return fixture.store.scrub({
+        cursor: report.cursor
+      });
+    }).then(function (report) {
+      assert.strictEqual(report.items, 1);
+      assert.strictEqual(report.cursor, null);
+    });
+  });
+});
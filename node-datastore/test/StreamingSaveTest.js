@@ -0,0 +1,113 @@
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var stream = require("stream");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore#save streaming", function () {
+  var fixture;
+
+  /** Lists the files stored in a device directory.
+   * @param {String} name Device name. Cannot be null.
+   * @return {String[]} Returns the files. Never returns null.
+   */
+  var listFiles = function (name) {
+    var dir = path.join(fixture.dir, name);
+
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir, {
+      recursive: true
+    }).filter(function (file) {
+      return fs.statSync(path.join(dir, file)).isFile();
+    });
+  };
+
+  beforeEach(function () {
+    fixture = Fixtures.create();
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("streams large content into devices", function (done) {
+    var content = Buffer.alloc(4 * 1024 * 1024, "x");
+
+    fixture.store.save(Fixtures.source(content), null, {
+      name: "large"
+    }, function (err, item) {
+      assert.ifError(err);
+      fixture.devices.forEach(function (device) {
+        assert.strictEqual(fs.statSync(device.getFile(item)).size,
+          content.length);
+      });
+      done();
+    });
+  });
+
+  it("removes provisional content if the stream fails", function (done) {
+    var reads = 0;
+    var input = new stream.Readable({
+      read: function () {
+        reads += 1;
+
+        if (reads === 10) {
+          this.destroy(new Error("Upload failed."));
+        } else {
+          this.push(Buffer.alloc(65536, reads));
+        }
+      }
+    });
+
+    fixture.store.save(input, null, {
+      name: "broken"
+    }, function (err) {
+      assert.strictEqual(err.message, "Upload failed.");
+      assert.deepStrictEqual(listFiles("d0"), []);
+      assert.deepStrictEqual(listFiles("d1"), []);
+      fixture.index.list(function (err, items) {
+        assert.ifError(err);
+        assert.strictEqual(items.length, 0);
+        done();
+      });
+    });
+  });
+
+  it("keeps provisional content while the save is in progress",
+      function (done) {
+    var input = new stream.PassThrough();
+    var saved = null;
+
+    fixture.store.save(input, null, {
+      name: "slow"
+    }, function (err, item) {
+      assert.ifError(err);
+      saved(item);
+    });
+
+    input.write("partial ");
+
+    setTimeout(function () {
+      assert.strictEqual(listFiles("d0").length, 1);
+      fixture.store.purge(function (err, report) {
+        assert.ifError(err);
+        assert.deepStrictEqual(report.orphans, []);
+        saved = function (item) {
+          fixture.store.get(item.getId(), null, function (err, item) {
+            assert.ifError(err);
+            Fixtures.read(item).then(function (content) {
+              assert.strictEqual(content, "partial content");
+            }).then(done, done);
+          });
+        };
+        input.end("content");
+      });
+    }, 50);
+  });
+});
@@ -0,0 +1,118 @@
+var assert = require("assert");
+var fs = require("fs");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore#sync", function () {
+  var fixture;
+  var progress;
+
+  /** Saves an item and flags the replica of the second device as failed.
+   * The content is removed from the device, as if it never received it.
+   *
+   * @param {Function} callback Callback that receives the item. It takes an
+   *    error and the item as parameters. Cannot be null.
+   */
+  var saveWithFailure = function (callback) {
+    var device = fixture.devices[1];
+
+    fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    }, function (err, item) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      fixture.index.getItem(item.getId(), function (err, indexItem) {
+        if (err) {
+          callback(err);
+          return;
+        }
+        fs.unlinkSync(device.getFile(item));
+        indexItem.status(device, 500, "Device failed.");
+        callback(null, indexItem);
+      });
+    });
+  };
+
+  beforeEach(function () {
+    progress = [];
+    fixture = Fixtures.create({
+      progressHandler: function (id, processed, total) {
+        progress.push([processed, total]);
+      }
+    });
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("replicates items to devices that failed", function (done) {
+    saveWithFailure(function (err, item) {
+      assert.ifError(err);
+      fixture.store.sync(function (err) {
+        assert.ifError(err);
+        fixture.index.getItem(item.getId(), function (err, indexItem) {
+          assert.ifError(err);
+          assert.strictEqual(indexItem.status(fixture.devices[1]).code, 200);
+          assert.strictEqual(fs.readFileSync(fixture.devices[1]
+            .getFile(item), "utf8"), "content");
+          done();
+        });
+      });
+    });
+  });
+
+  it("synchronizes a single item and notifies progress", function (done) {
+    var synced = [];
+
+    fixture.store.on("item:synced", function (event) {
+      synced.push([event.id, event.failed]);
+    });
+
+    saveWithFailure(function (err, item) {
+      assert.ifError(err);
+      fixture.store.sync(item.getId(), function (err) {
+        assert.ifError(err);
+        assert.deepStrictEqual(synced, [[item.getId(), 0]]);
+        assert.deepStrictEqual(progress, [[1, 1]]);
+        assert.ok(fs.existsSync(fixture.devices[1].getFile(item)));
+        done();
+      });
+    });
+  });
+
+  it("removes deleted items from devices that failed to delete them",
+      function (done) {
+    var device = fixture.devices[1];
+    var remove = device.delete;
+
+    device.delete = function (deviceItem, callback) {
+      device.delete = remove;
+      deviceItem.status(device, 500, "Device failed.");
+      callback(new Error("Device failed."), deviceItem);
+    };
+
+    fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    }, function (err, item) {
+      assert.ifError(err);
+      fixture.store.delete(item.getId(), null, function () {
+        assert.ok(fs.existsSync(device.getFile(item)));
+        fixture.store.sync(function (err) {
+          assert.ifError(err);
+          fixture.index.getItem(item.getId(), function (err, indexItem) {
+            assert.ifError(err);
+            assert.strictEqual(indexItem.status(device).code, 410);
+            assert.ok(!fs.existsSync(device.getFile(item)));
+            done();
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,117 @@
+var assert = require("assert");
+var stream = require("stream");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore#addTransformer", function () {
+  var fixture;
+
+  /** Creates a stream that converts the content to upper case.
+   * @return {stream.Transform} Returns the stream. Never returns null.
+   */
+  var upperCase = function () {
+    return new stream.Transform({
+      transform: function (chunk, encoding, callback) {
+        callback(null, chunk.toString().toUpperCase());
+      }
+    });
+  };
+
+  beforeEach(function () {
+    fixture = Fixtures.create();
+    fixture.store.addTransformer("upper", {
+      match: function (metadata) {
+        return metadata.type === "text/plain";
+      },
+      transform: upperCase,
+      metadata: function (metadata) {
+        return {
+          type: metadata.type,
+          derived: true
+        };
+      }
+    });
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("derives namespaces from new items", function () {
+    var main;
+
+    return fixture.store.save(Fixtures.source("content"), null, {
+      type: "text/plain"
+    }).then(function (item) {
+      main = item;
+      return fixture.store.getNamespaces(main.getId());
+    }).then(function (namespaces) {
+      assert.strictEqual(namespaces.length, 1);
+      assert.strictEqual(namespaces[0].getNamespace(), "upper");
+      assert.deepStrictEqual(namespaces[0].getMetadata(), {
+        type: "text/plain",
+        derived: true
+      });
+      return fixture.store.get(main.getId(), "upper");
+    }).then(Fixtures.read).then(function (content) {
+      assert.strictEqual(content, "CONTENT");
+    });
+  });
+
+  it("skips items that don't match the transformer", function () {
+    var main;
+
+    return fixture.store.save(Fixtures.source("content"), null, {
+      type: "image/png"
+    }).then(function (item) {
+      main = item;
+      return fixture.store.getNamespaces(main.getId());
+    }).then(function (namespaces) {
+      assert.deepStrictEqual(namespaces, []);
+      return fixture.store.get(main.getId(), "upper");
+    }).then(function () {
+      assert.fail("Namespace was derived.");
+    }, function (err) {
+      assert.ok(err instanceof Error);
+    });
+  });
+
+  it("derives namespaces again when they're required", function () {
+    var main;
+
+    return fixture.store.save(Fixtures.source("content"), null, {
+      type: "text/plain"
+    }).then(function (item) {
+      main = item;
+      return fixture.store.delete(main.getId(), "upper");
+    }).then(function () {
+      return fixture.store.get(main.getId(), "upper");
+    }).then(Fixtures.read).then(function (content) {
+      assert.strictEqual(content, "CONTENT");
+    });
+  });
+
+  it("reports transformer failures", function () {
+    fixture.store.addTransformer("broken", {
+      transform: function () {
+        return new stream.Transform({
+          transform: function (chunk, encoding, callback) {
+            callback(new Error("Transform failed."));
+          }
+        });
+      }
+    });
+
+    return fixture.store.save(Fixtures.source("content"), null, {
+      type: "text/plain"
+    }).then(function (item) {
+      assert.ok(item.getId());
+      assert.ok(fixture.errors.some(function (error) {
+        return error.type === "transform";
+      }));
+    });
+  });
+});
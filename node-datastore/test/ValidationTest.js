@@ -0,0 +1,115 @@
+var assert = require("assert");
+var crypto = require("crypto");
+var fs = require("fs");
+var path = require("path");
+var Fixtures = require("./support/Fixtures");
+
+describe("DataStore validation", function () {
+  var fixture;
+
+  /** Counts the files stored in all devices.
+   * @return {Number} Returns the number of files. Never returns null.
+   */
+  var countFiles = function () {
+    return fixture.devices.reduce(function (count, device) {
+      var dir = path.join(fixture.dir, device.getId());
+
+      return count + fs.readdirSync(dir, {
+        recursive: true
+      }).filter(function (file) {
+        return fs.statSync(path.join(dir, file)).isFile();
+      }).length;
+    }, 0);
+  };
+
+  /** Saves an item and checks it's rejected without leaving items in the
+   * index or content in devices.
+   * @param {String} content Item content. Cannot be null.
+   * @param {Object} options Save options. Can be null.
+   * @param {RegExp} message Expected error message. Cannot be null.
+   * @return {Promise} Returns a promise resolved if the item is rejected.
+   */
+  var rejects = function (content, options, message) {
+    return fixture.store.save(Fixtures.source(content), null, {
+      name: "foo"
+    }, options).then(function () {
+      assert.fail("Invalid item was saved.");
+    }, function (err) {
+      assert.ok(message.test(err.message), err.message);
+      return fixture.index.list();
+    }).then(function (items) {
+      assert.deepStrictEqual(items, []);
+      assert.strictEqual(countFiles(), 0);
+    });
+  };
+
+  beforeEach(function () {
+    fixture = Fixtures.create({
+      maxItemSize: 10
+    });
+  });
+
+  afterEach(function (done) {
+    fixture.store.close(done);
+  });
+
+  after(function () {
+    Fixtures.cleanup();
+  });
+
+  it("rejects items that exceed the maximum size", function () {
+    return rejects("more than ten bytes", null,
+      /exceeds the maximum size of 10 bytes/);
+  });
+
+  it("rejects content that doesn't match the expected size", function () {
+    return rejects("content", {
+      size: 8
+    }, /Expected 8 bytes but 7 bytes were read/);
+  });
+
+  it("rejects content that doesn't match the expected digest", function () {
+    return rejects("content", {
+      digest: "1220" + crypto.createHash("sha256").update("other")
+        .digest("hex")
+    }, /doesn't match the expected digest/);
+  });
+
+  it("rejects content refused by validators", function () {
+    var checked;
+
+    fixture.store.addValidator(function (content, callback) {
+      checked = content;
+      callback(new Error("Content not allowed."));
+    });
+
+    return rejects("content", null, /Content not allowed/).then(function () {
+      assert.strictEqual(checked.size, 7);
+      assert.strictEqual(checked.metadata.name, "foo");
+      assert.strictEqual(checked.digest, "1220" + crypto.createHash("sha256")
+        .update("content").digest("hex"));
+    });
+  });
+
+  it("saves content accepted by validators", function () {
+    fixture.store.addValidator(function (content, callback) {
+      callback(null);
+    });
+
+    return fixture.store.save(Fixtures.source("content"), null, {
+      name: "foo"
+    }, {
+      size: 7
+    }).then(function (item) {
+      return fixture.store.get(item.getId(), null);
+    }).then(Fixtures.read).then(function (content) {
+      assert.strictEqual(content, "content");
+    });
+  });
+
+  it("requires validators to be functions", function () {
+    assert.throws(function () {
+      fixture.store.addValidator({});
+    }, /Validators must be functions/);
+  });
+});
@@ -0,0 +1,193 @@
+/** Builds data stores over file system devices to test them. Each data store
+ * has its own directory under the system temporary directory, and all of them
+ * are removed by <code>cleanup()</code>.
+ */
+module.exports = (function () {
+
+  /** Node file system API.
+   * @type {Object}
+   * @private
+   * @fieldOf Fixtures
+   */
+  var fs = require("fs");
+
+  /** Node OS API.
+   * @type {Object}
+   * @private
+   * @fieldOf Fixtures
+   */
+  var os = require("os");
+
+  /** Node path API.
+   * @type {Object}
+   * @private
+   * @fieldOf Fixtures
+   */
+  var path = require("path");
+
+  /** Node stream API.
+   * @type {Object}
+   * @private
+   * @fieldOf Fixtures
+   */
+  var stream = require("stream");
+
+  /** Util to extend objects.
+   * @type {Function}
+   * @private
+   * @fieldOf Fixtures
+   */
+  var extend = require("extend");
+
+  /** Data store API.
+   * @type {Object}
+   * @private
+   * @fieldOf Fixtures
+   */
+  var datastore = require("../../index");
+
+  /** File system implementations.
+   * @type {Object}
+   * @private
+   * @fieldOf Fixtures
+   */
+  var fileSystem = require("../../../node-datastore-fs");
+
+  /** Directory that contains the directory of each data store.
+   * @constant
+   * @private
+   * @fieldOf Fixtures
+   */
+  var BASE_DIR = path.join(os.tmpdir(), "node-datastore-test-" + process.pid);
+
+  /** Number of directories created so far.
+   * @type {Number}
+   * @private
+   * @fieldOf Fixtures
+   */
+  var dirs = 0;
+
+  return {
+
+    /** Creates an empty directory for a data store.
+     * @return {String} Returns the directory path. Never returns null.
+     */
+    createDir: function () {
+      var dir = path.join(BASE_DIR, String(dirs += 1));
+
+      fs.mkdirSync(dir, {
+        recursive: true
+      });
+      return dir;
+    },
+
+    /** Creates file system devices in a directory. Devices are named
+     * <code>d0</code>, <code>d1</code> and so on.
+     *
+     * @param {String} dir Directory of the data store. Cannot be null.
+     * @param {Number} [count] Number of devices. Default is 2.
+     * @return {Device[]} Returns the devices. Never returns null.
+     */
+    createDevices: function (dir, count) {
+      var devices = [];
+      var i;
+
+      for (i = 0; i < (count || 2); i++) {
+        devices.push(new fileSystem.FileSystemDevice(path.join(dir, "d" + i), {
+          id: "d" + i
+        }));
+      }
+      return devices;
+    },
+
+    /** Opens a data store in a directory. Errors reported to the error
+     * handler are collected in the <code>errors</code> list of the result.
+     *
+     * @param {String} dir Directory of the data store. Cannot be null.
+     * @param {Device[]} devices Devices of the data store. Cannot be null.
+     * @param {Object} [options] Data store options. Can be null.
+     * @return {Object} Returns the <code>store</code>, the
+     *    <code>index</code>, the <code>devices</code> and the
+     *    <code>errors</code>. Never returns null.
+     */
+    open: function (dir, devices, options) {
+      var errors = [];
+      var index = new fileSystem.FileSystemIndex(dir);
+
+      return {
+        store: new datastore.DataStore(index, devices, extend({
+          errorHandler: function (err, id, namespace, type) {
+            errors.push({
+              error: err,
+              id: id,
+              type: type
+            });
+          }
+        }, options)),
+        index: index,
+        devices: devices,
+        errors: errors,
+        dir: dir
+      };
+    },
+
+    /** Creates a data store with new devices in a new directory.
+     *
+     * @param {Object} [options] Data store options. Can be null.
+     * @param {Number} [count] Number of devices. Default is 2.
+     * @return {Object} Returns the data store as it's returned by
+     *    <code>open()</code>, with the <code>dir</code>. Never returns null.
+     */
+    create: function (options, count) {
+      var dir = this.createDir();
+
+      return this.open(dir, this.createDevices(dir, count), options);
+    },
+
+    /** Creates a journal in a directory.
+     * @param {String} dir Directory of the data store. Cannot be null.
+     * @return {Journal} Returns the journal. Never returns null.
+     */
+    createJournal: function (dir) {
+      return new fileSystem.FileSystemJournal(dir);
+    },
+
+    /** Creates a stream that provides the specified content.
+     * @param {String|Buffer} content Content to provide. Cannot be null.
+     * @return {stream.Readable} Returns the stream. Never returns null.
+     */
+    source: function (content) {
+      var input = new stream.PassThrough();
+
+      input.end(content);
+      return input;
+    },
+
+    /** Reads the content of an item retrieved from the data store.
+     *
+     * @param {DataStoreItem} item Item to read. Cannot be null.
+     * @return {Promise} Returns a promise resolved with the content as a
+     *    string. Never returns null.
+     */
+    read: function (item) {
+      return new Promise(function (resolve, reject) {
+        var chunks = [];
+
+        item.stream().on("data", function (chunk) {
+          chunks.push(chunk);
+        }).on("error", reject).on("end", function () {
+          resolve(Buffer.concat(chunks).toString());
+        });
+      });
+    },
+
+    /** Removes the directories of all data stores.
+     */
+    cleanup: function () {
+      fs.rmSync(BASE_DIR, {
+        recursive: true,
+        force: true
+      });
+    }
+  };
+}());